@@ -4,6 +4,7 @@
  *
  * Handles:
  * - MuteMe device connection state
+ * - Telephony headset mute button and LED
  * - Message routing between popup, content scripts, and device
  * - Call session tracking
  * - LED state synchronization
@@ -13,10 +14,27 @@
 
 import icon from './modules/icon.js';
 import muteme from './modules/muteme.js';
+import headset from './modules/headset.js';
+import { VirtualMuteMeDevice } from './modules/virtualDevice.js';
+import { LedAnimator, ANIMATION, ANIMATION_PRIORITY } from './modules/animation.js';
+import { CallRegistry } from './modules/calls.js';
+import {
+  TouchModeMachine,
+  isHoldOwned,
+  TOUCH_STATE,
+  TOUCH_INPUT,
+  TOUCH_EFFECT,
+} from './modules/touchModes.js';
 import {
   MESSAGE,
-  PLATFORM,
   TOUCH_MODE,
+  CALL_POLICY,
+  DEVICE_ROLE,
+  ACTION,
+  GESTURE,
+  HOLD_GESTURE_SLOTS,
+  DEFAULT_GESTURE_ACTIONS,
+  MUTEME_EVENT,
   LED_PRESET,
   LED_COLOR,
   LED_EFFECT,
@@ -27,31 +45,87 @@ import {
 // ============================================================================
 let state = {
   mutemeConnected: false,
+  headsetConnected: false,
+  // The controlled call, mirrored from the call registry (see syncControlledCall)
   activeCallTabId: null,
   activePlatform: null,
   isMuted: null,
+  isCameraOn: null,
+  isHandRaised: null,
+  isPreview: false, // Controlled call is on its pre-join screen
+  callPolicy: CALL_POLICY.RECENT, // Which call the button controls
+  pendingUpdateVersion: null, // Downloaded update held back during a call
+  jitsiDomains: [], // Self-hosted Jitsi servers with access granted
   touchMode: TOUCH_MODE.TOGGLE,
   focusTabOnPress: false, // Whether to focus meeting tab when button pressed
-  isHolding: false,
-  pttActivated: false,
-  pttTimer: null,
+  dimLedWhenCameraOff: false, // Whether mute LEDs are dimmed while the camera is off
+  deviceNames: {}, // User-assigned device names, keyed by device id
+  deviceRoles: {}, // DEVICE_ROLE per device id (default: MUTE_ACTIVE)
+  gestureActions: { ...DEFAULT_GESTURE_ACTIONS }, // ACTION per GESTURE_SLOT
+  jitsiServers: [], // Self-hosted Jitsi servers (hosts) added in the popup
 };
 
+// Every call tab, and which one the button controls (see modules/calls.js).
+// Saved to session storage on every change, see loadSession()
+const calls = new CallRegistry({ onChange: () => saveSession() });
+
+// Toggle/Smart/Push-to-Talk behavior (see modules/touchModes.js)
+const touchModes = new TouchModeMachine();
+let pttTimer = null;
+
 // Connected clients (popup, content scripts)
 let clients = new Set();
 
+// LED animations (played on top of the regular LED state)
+const animator = new LedAnimator(muteme);
+
+// Leave-call countdown in progress: { deviceId, tabId, handle }
+let leaveCountdown = null;
+
 // ============================================================================
 // State Management
 // ============================================================================
 async function loadState() {
   try {
-    const stored = await chrome.storage.local.get(['touchMode', 'focusTabOnPress']);
+    const stored = await chrome.storage.local.get([
+      'touchMode',
+      'focusTabOnPress',
+      'dimLedWhenCameraOff',
+      'deviceNames',
+      'deviceRoles',
+      'gestureActions',
+      'callPolicy',
+      'jitsiServers',
+    ]);
     if (stored.touchMode) {
       state.touchMode = stored.touchMode;
+      dispatchTouch({ type: TOUCH_INPUT.SET_MODE, mode: state.touchMode });
     }
     if (stored.focusTabOnPress !== undefined) {
       state.focusTabOnPress = stored.focusTabOnPress;
     }
+    if (stored.dimLedWhenCameraOff !== undefined) {
+      state.dimLedWhenCameraOff = stored.dimLedWhenCameraOff;
+    }
+    if (stored.deviceNames) {
+      state.deviceNames = stored.deviceNames;
+    }
+    if (stored.deviceRoles) {
+      state.deviceRoles = stored.deviceRoles;
+    }
+    if (stored.gestureActions) {
+      state.gestureActions = { ...DEFAULT_GESTURE_ACTIONS, ...stored.gestureActions };
+    }
+    if (stored.callPolicy) {
+      // A pinned tab doesn't outlive the browser session; falls back to the most recent call
+      state.callPolicy = stored.callPolicy;
+      // Not setPolicy(): its change notification would save the still-empty
+      // registry over the session before loadSession() restores it
+      calls.policy = stored.callPolicy;
+    }
+    if (stored.jitsiServers) {
+      state.jitsiServers = stored.jitsiServers;
+    }
   } catch (e) {
     console.warn('[Background] Failed to load state:', e);
   }
@@ -62,37 +136,161 @@ async function saveState() {
     await chrome.storage.local.set({
       touchMode: state.touchMode,
       focusTabOnPress: state.focusTabOnPress,
+      dimLedWhenCameraOff: state.dimLedWhenCameraOff,
+      deviceNames: state.deviceNames,
+      deviceRoles: state.deviceRoles,
+      gestureActions: state.gestureActions,
+      callPolicy: state.callPolicy,
+      jitsiServers: state.jitsiServers,
     });
   } catch (e) {
     console.warn('[Background] Failed to save state:', e);
   }
 }
 
+/**
+ * Load saved preferences, then the call registry of this browser session
+ */
+async function restoreState() {
+  await loadState();
+  await loadSession();
+}
+
+// ============================================================================
+// Session State (survives service worker restarts, cleared with the browser)
+// ============================================================================
+async function loadSession() {
+  try {
+    const { callSession, pendingUpdateVersion } = await chrome.storage.session.get([
+      'callSession',
+      'pendingUpdateVersion',
+    ]);
+    state.pendingUpdateVersion = pendingUpdateVersion || null;
+    if (!callSession) return;
+
+    calls.restore(callSession);
+
+    // Drop calls whose tabs were closed while the worker was suspended
+    for (const call of calls.list()) {
+      try {
+        await chrome.tabs.get(call.tabId);
+      } catch (e) {
+        calls.remove(call.tabId);
+      }
+    }
+
+    syncControlledCall();
+    console.log('[Background] Restored calls:', calls.size);
+  } catch (e) {
+    console.warn('[Background] Failed to load session:', e);
+  }
+}
+
+async function saveSession() {
+  try {
+    await chrome.storage.session.set({ callSession: calls.snapshot() });
+  } catch (e) {
+    console.warn('[Background] Failed to save session:', e);
+  }
+}
+
 function getPublicState() {
   return {
     mutemeConnected: state.mutemeConnected,
+    headsetConnected: state.headsetConnected,
+    headsetName: headset.getStatus().deviceName,
     activeCallTabId: state.activeCallTabId,
     activePlatform: state.activePlatform,
     isMuted: state.isMuted,
+    isCameraOn: state.isCameraOn,
+    isHandRaised: state.isHandRaised,
+    isPreview: state.isPreview,
+    callPolicy: state.callPolicy,
+    pendingUpdateVersion: state.pendingUpdateVersion,
+    jitsiDomains: state.jitsiDomains,
+    calls: calls.list().map(call => ({
+      ...call,
+      isControlled: call.tabId === state.activeCallTabId,
+    })),
     touchMode: state.touchMode,
     focusTabOnPress: state.focusTabOnPress,
+    dimLedWhenCameraOff: state.dimLedWhenCameraOff,
+    gestureActions: state.gestureActions,
+    devices: muteme.getDevices().map(device => ({
+      ...device,
+      role: getDeviceRole(device.id),
+    })),
   };
 }
 
+function getDeviceRole(deviceId) {
+  return state.deviceRoles[deviceId] || DEVICE_ROLE.MUTE_ACTIVE;
+}
+
 // ============================================================================
 // LED Management
 // ============================================================================
 async function updateLed() {
+  updateHeadsetLed();
+
   if (!state.mutemeConnected) return;
 
+  if (animator.getPriority(null) <= ANIMATION_PRIORITY.STATE) {
+    animator.cancel(null);
+  }
+
+  await Promise.all(muteme.getDevices().map((device) => {
+    // High-priority animations (errors, countdowns) stay on top of the state;
+    // anything lower is interrupted by it
+    if (animator.getPriority(device.id) > ANIMATION_PRIORITY.STATE) {
+      return true;
+    }
+    animator.cancel(device.id);
+    return muteme.setLedPreset(getLedPreset(device.id), device.id);
+  }));
+}
+
+/**
+ * Mirror the call state on the headset's mute and off-hook LEDs
+ */
+function updateHeadsetLed() {
+  // Also recorded while disconnected, so a reconnecting headset shows it
+  headset.setCallState({
+    inCall: state.activeCallTabId !== null,
+    isMuted: state.isMuted === true,
+  });
+}
+
+/**
+ * Pick the LED preset for a device based on its role and the call state
+ */
+function getLedPreset(deviceId) {
   let preset;
 
   if (state.activeCallTabId === null) {
     // No active call - LED off
     preset = LED_PRESET.CONNECTED_IDLE;
-  } else if (state.isHolding && state.isMuted === false) {
+  } else if (getDeviceRole(deviceId) === DEVICE_ROLE.CAMERA) {
+    // Camera buttons show the camera instead of the microphone
+    if (state.isCameraOn === true) {
+      preset = LED_PRESET.CAMERA_ON;
+    } else if (state.isCameraOn === false) {
+      preset = LED_PRESET.CAMERA_OFF;
+    } else {
+      preset = LED_PRESET.CAMERA_CONTROL;
+    }
+  } else if (getDeviceRole(deviceId) === DEVICE_ROLE.MUTE_ALL) {
+    // Mute-all buttons show red only while every call is muted
+    preset = calls.list().every(call => call.isMuted === true) ? LED_PRESET.MUTED : LED_PRESET.UNMUTED;
+  } else if (touchModes.state === TOUCH_STATE.TALKING && state.isMuted === false) {
     // Currently holding and unmuted (push-to-talk active)
     preset = LED_PRESET.PUSH_TO_TALK_ACTIVE;
+  } else if (touchModes.state === TOUCH_STATE.COUGHING && state.isMuted === true) {
+    // Currently holding and muted (push-to-mute / cough button active)
+    preset = LED_PRESET.PUSH_TO_MUTE_ACTIVE;
+  } else if (state.isHandRaised === true) {
+    // Hand up - shown until lowered here or by the platform
+    preset = LED_PRESET.HAND_RAISED;
   } else if (state.isMuted === true) {
     // Muted - use pulsing red if in smart/PTT mode to indicate "hold to talk"
     if (state.touchMode === TOUCH_MODE.SMART || state.touchMode === TOUCH_MODE.PUSH_TO_TALK) {
@@ -101,42 +299,46 @@ async function updateLed() {
       preset = LED_PRESET.MUTED;
     }
   } else if (state.isMuted === false) {
-    preset = LED_PRESET.UNMUTED;
+    // Live - use pulsing green in push-to-mute mode to indicate "hold to mute"
+    if (state.touchMode === TOUCH_MODE.PUSH_TO_MUTE) {
+      preset = LED_PRESET.UNMUTED_PTM_READY;
+    } else {
+      preset = LED_PRESET.UNMUTED;
+    }
   } else {
     preset = LED_PRESET.CONNECTED_IDLE;
   }
 
-  await muteme.setLedPreset(preset);
+  // Dim solid colors while the camera is off, so one LED shows both states
+  if (state.dimLedWhenCameraOff && state.isCameraOn === false &&
+    state.activeCallTabId !== null && preset.effect === LED_EFFECT.SOLID) {
+    preset = { ...preset, effect: LED_EFFECT.DIM };
+  }
+
+  return preset;
 }
 
 /**
- * Play a connection animation on the LED
+ * Play an LED animation, then return to the normal LED state
+ * (unless the animation was interrupted)
+ *
+ * @param {Object} animation - Animation from ANIMATION (or built from patterns)
+ * @param {string|null} deviceId - Target device, or null for all devices
  */
-async function playConnectAnimation() {
+async function playAnimation(animation, deviceId = null) {
   if (!state.mutemeConnected) return;
 
-  // Quick cyan blink sequence
-  await muteme.setLed(LED_COLOR.CYAN, LED_EFFECT.SOLID);
-  await sleep(150);
-  await muteme.setLed(LED_COLOR.OFF, LED_EFFECT.SOLID);
-  await sleep(100);
-  await muteme.setLed(LED_COLOR.CYAN, LED_EFFECT.SOLID);
-  await sleep(150);
-  await muteme.setLed(LED_COLOR.OFF, LED_EFFECT.SOLID);
-
-  // Return to normal state
-  await updateLed();
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  const completed = await animator.play(animation, { deviceId }).finished;
+  if (completed) {
+    await updateLed();
+  }
 }
 
 // ============================================================================
 // Icon Management
 // ============================================================================
 function updateIcon() {
-  if (!state.mutemeConnected) {
+  if (!state.mutemeConnected && !state.headsetConnected) {
     icon.setDisconnected();
   } else if (state.activeCallTabId === null) {
     icon.setConnected();
@@ -148,36 +350,39 @@ function updateIcon() {
 // ============================================================================
 // MuteMe Callbacks
 // ============================================================================
-function onMutemeConnect(device) {
-  console.log('[Background] MuteMe connected:', device?.productName);
+function onMutemeConnect({ device }) {
+  console.log('[Background] MuteMe connected:', device.name, `(${device.id})`);
   state.mutemeConnected = true;
   updateIcon();
-  playConnectAnimation();
+  playAnimation(ANIMATION.CONNECT, device.id);
   broadcastMessage(MESSAGE.DEVICE_CONNECTED, getPublicState());
 }
 
-function onMutemeDisconnect() {
-  console.log('[Background] MuteMe disconnected');
-  state.mutemeConnected = false;
-  state.isHolding = false;
-  state.pttActivated = false;
-  if (state.pttTimer) {
-    clearTimeout(state.pttTimer);
-    state.pttTimer = null;
-  }
+function onMutemeDisconnect({ device }) {
+  console.log('[Background] MuteMe disconnected:', device.id);
+  state.mutemeConnected = muteme.isConnected;
+
+  // Release push-to-talk if the holding device went away
+  dispatchTouch({ type: TOUCH_INPUT.DISCONNECT, deviceId: device.id });
+  cancelLeaveCountdown(device.id);
   updateIcon();
   broadcastMessage(MESSAGE.DEVICE_DISCONNECTED, getPublicState());
 }
 
-function onTouchStart() {
-  state.isHolding = true;
-  state.pttActivated = false;
+function onTouchStart(event) {
+  const { deviceId } = event;
 
   // If no active call, provide visual LED feedback to confirm connection
   if (!state.activeCallTabId) {
     // Flash LED to indicate button press received
-    muteme.setLed(LED_COLOR.WHITE, LED_EFFECT.SOLID);
-    broadcastMessage(MESSAGE.TOUCH_START);
+    muteme.setLed(LED_COLOR.WHITE, LED_EFFECT.SOLID, deviceId);
+    broadcastMessage(MESSAGE.TOUCH_START, event);
+    return;
+  }
+
+  // Camera and mute-all buttons act on release only
+  if (getDeviceRole(deviceId) === DEVICE_ROLE.CAMERA || getDeviceRole(deviceId) === DEVICE_ROLE.MUTE_ALL) {
+    broadcastMessage(MESSAGE.TOUCH_START, event);
     return;
   }
 
@@ -186,19 +391,8 @@ function onTouchStart() {
     focusMeetingTab();
   }
 
-  // For Smart/PTT modes, we'll trigger unmute after a delay (to distinguish tap from hold)
-  if ((state.touchMode === TOUCH_MODE.SMART || state.touchMode === TOUCH_MODE.PUSH_TO_TALK) && state.isMuted) {
-    // Set a timer - if still holding after 200ms, activate PTT
-    state.pttTimer = setTimeout(() => {
-      if (state.isHolding && state.isMuted !== false) {
-        state.pttActivated = true;
-        sendMuteCommand(false);
-        updateLed();
-      }
-    }, 200);
-  }
-
-  broadcastMessage(MESSAGE.TOUCH_START);
+  dispatchTouch({ type: TOUCH_INPUT.TOUCH_START, deviceId });
+  broadcastMessage(MESSAGE.TOUCH_START, event);
 }
 
 /**
@@ -210,7 +404,7 @@ async function focusMeetingTab() {
 
   try {
     // First check if the tab is already visible
-    const response = await chrome.tabs.sendMessage(state.activeCallTabId, {
+    const response = await sendToCall(state.activeCallTabId, {
       type: MESSAGE.GET_VISIBILITY,
     });
 
@@ -240,82 +434,484 @@ async function focusMeetingTab() {
   }
 }
 
-function onTouchEnd(event) {
-  const _wasHolding = state.isHolding;
-  const wasPttActivated = state.pttActivated;
-  state.isHolding = false;
-  state.pttActivated = false;
+/**
+ * Bring the meeting tab and its window to the front, visible or not
+ */
+async function activateMeetingTab() {
+  if (!state.activeCallTabId) return;
 
-  // Clear PTT timer if it hasn't fired yet
-  if (state.pttTimer) {
-    clearTimeout(state.pttTimer);
-    state.pttTimer = null;
+  try {
+    const tab = await chrome.tabs.get(state.activeCallTabId);
+    await chrome.tabs.update(state.activeCallTabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (e) {
+    // Tab may have been closed
   }
+}
+
+function onTouchEnd(event) {
+  const { deviceId } = event;
+
+  // Releasing early cancels a pending leave
+  cancelLeaveCountdown(deviceId);
 
   // If no active call, turn off LED feedback
   if (!state.activeCallTabId) {
-    muteme.setLed(LED_COLOR.OFF, LED_EFFECT.SOLID);
+    muteme.setLed(LED_COLOR.OFF, LED_EFFECT.SOLID, deviceId);
     broadcastMessage(MESSAGE.TOUCH_END, event);
     return;
   }
 
-  if (state.touchMode === TOUCH_MODE.TOGGLE) {
-    // Toggle mode: toggle on tap only
+  if (getDeviceRole(deviceId) === DEVICE_ROLE.CAMERA) {
     if (event.isTap) {
-      sendMuteCommand(!state.isMuted);
+      sendCameraCommand();
     }
-  } else if (state.touchMode === TOUCH_MODE.SMART) {
-    // Smart mode: tap to toggle, hold for PTT
-    if (event.isTap && !wasPttActivated) {
-      // Short tap = toggle (only if PTT wasn't activated)
-      sendMuteCommand(!state.isMuted);
-    } else if (wasPttActivated) {
-      // Was holding (push-to-talk), re-mute
-      sendMuteCommand(true);
+    broadcastMessage(MESSAGE.TOUCH_END, event);
+    return;
+  }
+
+  if (getDeviceRole(deviceId) === DEVICE_ROLE.MUTE_ALL) {
+    if (event.isTap) {
+      toggleAllCalls();
     }
-    updateLed();
-  } else if (state.touchMode === TOUCH_MODE.PUSH_TO_TALK) {
-    // Push-to-talk mode: always re-mute when released
-    if (wasPttActivated) {
-      sendMuteCommand(true);
+    broadcastMessage(MESSAGE.TOUCH_END, event);
+    return;
+  }
+
+  // Releases from a device that didn't start the current hold are ignored.
+  // Taps go through the gesture mapping unless it is the default one.
+  const isTap = event.isTap && !tapsUseGestureMapping();
+  dispatchTouch({ type: TOUCH_INPUT.TOUCH_END, deviceId, isTap });
+  broadcastMessage(MESSAGE.TOUCH_END, event);
+}
+
+/**
+ * Feed an input to the touch-mode state machine and carry out its effects
+ */
+function dispatchTouch(input) {
+  const effects = touchModes.dispatch(input);
+
+  for (const effect of effects) {
+    switch (effect.type) {
+      case TOUCH_EFFECT.SET_MUTE:
+        sendMuteCommand(effect.mute);
+        break;
+
+      case TOUCH_EFFECT.START_TIMER:
+        clearTimeout(pttTimer);
+        pttTimer = setTimeout(() => {
+          pttTimer = null;
+          dispatchTouch({ type: TOUCH_INPUT.PTT_TIMEOUT });
+        }, effect.delay);
+        break;
+
+      case TOUCH_EFFECT.CANCEL_TIMER:
+        clearTimeout(pttTimer);
+        pttTimer = null;
+        break;
+
+      case TOUCH_EFFECT.UPDATE_LED:
+        updateLed();
+        break;
+
+      default:
+        // Ignore unknown effects
+    }
+  }
+}
+
+/**
+ * Higher-level gestures recognized by the driver (multi-tap, long-press, tap-hold)
+ */
+function onGesture(event) {
+  console.log('[Background] Gesture:', event.type, event);
+  broadcastMessage(MESSAGE.GESTURE, event);
+
+  // Only mute buttons for the controlled call use the gesture mapping
+  if (!state.activeCallTabId || getDeviceRole(event.deviceId) !== DEVICE_ROLE.MUTE_ACTIVE) {
+    return;
+  }
+
+  const slot = event.type === GESTURE.LONG_PRESS ? `${event.type}-${event.tier}` : event.type;
+  const action = state.gestureActions[slot] || ACTION.NONE;
+
+  // Plain taps are handled by the touch mode unless the mapping needs them
+  if (event.type === GESTURE.TAP && !tapsUseGestureMapping()) {
+    return;
+  }
+  // Push-to-talk/mute own the microphone; a tap there doesn't toggle it
+  if (event.type === GESTURE.TAP && action === ACTION.TOGGLE_MUTE &&
+    (state.touchMode === TOUCH_MODE.PUSH_TO_TALK || state.touchMode === TOUCH_MODE.PUSH_TO_MUTE)) {
+    return;
+  }
+
+  // A hold used for push-to-talk/mute is not a gesture
+  if (HOLD_GESTURE_SLOTS.includes(slot) && isHoldOwned(touchModes.machine, event.deviceId)) {
+    console.log('[Background] Hold is in use by the touch mode, ignoring:', slot);
+    return;
+  }
+
+  // Leaving needs the button held through a countdown
+  if (action === ACTION.LEAVE_CALL) {
+    if (HOLD_GESTURE_SLOTS.includes(slot)) {
+      startLeaveCountdown(event.deviceId);
+    } else {
+      console.log('[Background] Leave call is only available on hold gestures, ignoring:', slot);
+    }
+    return;
+  }
+
+  runAction(action);
+}
+
+/**
+ * Start the hold-to-confirm countdown on a device; the call is left when it
+ * completes while the button is still held
+ */
+function startLeaveCountdown(deviceId) {
+  if (leaveCountdown || !state.mutemeConnected) return;
+
+  const handle = animator.play(ANIMATION.LEAVE_COUNTDOWN, { deviceId });
+  const countdown = { deviceId, tabId: state.activeCallTabId, handle };
+  leaveCountdown = countdown;
+  console.log('[Background] Leave countdown started on:', deviceId);
+
+  // The hold is for leaving now: the touch mode must not turn it into
+  // push-to-talk (e.g. a pending hold delay) during the countdown
+  dispatchTouch({ type: TOUCH_INPUT.CANCEL_HOLD, deviceId });
+
+  handle.finished.then(async (completed) => {
+    if (leaveCountdown !== countdown) return;
+    leaveCountdown = null;
+
+    if (completed && state.activeCallTabId === countdown.tabId) {
+      await sendLeaveCommand();
     }
     updateLed();
+  });
+}
+
+/**
+ * Cancel the leave countdown if it was started by the given device
+ */
+function cancelLeaveCountdown(deviceId) {
+  if (!leaveCountdown || leaveCountdown.deviceId !== deviceId) return;
+
+  console.log('[Background] Leave countdown cancelled');
+  leaveCountdown.handle.cancel();
+  leaveCountdown = null;
+  updateLed();
+}
+
+/**
+ * Whether taps must wait for gesture recognition: true unless a tap just
+ * toggles mute and no multi-tap gesture is mapped. Otherwise the touch mode
+ * toggles right away, without the multi-tap wait.
+ */
+function tapsUseGestureMapping() {
+  const actions = state.gestureActions;
+  return actions[GESTURE.TAP] !== ACTION.TOGGLE_MUTE ||
+    actions[GESTURE.DOUBLE_TAP] !== ACTION.NONE ||
+    actions[GESTURE.TRIPLE_TAP] !== ACTION.NONE;
+}
+
+/**
+ * Carry out a gesture action on the active call
+ *
+ * @param {string} action - Action from ACTION
+ */
+function runAction(action) {
+  console.log('[Background] Running action:', action);
+
+  switch (action) {
+    case ACTION.TOGGLE_MUTE:
+      dispatchTouch({ type: TOUCH_INPUT.TOGGLE });
+      break;
+
+    case ACTION.TOGGLE_CAMERA:
+      sendCameraCommand();
+      break;
+
+    case ACTION.RAISE_HAND:
+      sendRaiseHandCommand();
+      break;
+
+    case ACTION.FOCUS_TAB:
+      activateMeetingTab();
+      break;
+
+    case ACTION.LEAVE_CALL:
+      sendLeaveCommand();
+      break;
+
+    default:
+      // ACTION.NONE
   }
+}
 
-  broadcastMessage(MESSAGE.TOUCH_END, event);
+// ============================================================================
+// Headset Callbacks
+// ============================================================================
+function onHeadsetConnect(status) {
+  console.log('[Background] Headset connected:', status.deviceName);
+  state.headsetConnected = true;
+  updateIcon();
+  updateHeadsetLed();
+  broadcastMessage(MESSAGE.DEVICE_CONNECTED, getPublicState());
+}
+
+function onHeadsetDisconnect() {
+  console.log('[Background] Headset disconnected');
+  state.headsetConnected = false;
+  updateIcon();
+  broadcastMessage(MESSAGE.DEVICE_DISCONNECTED, getPublicState());
+}
+
+function onHeadsetMuteToggle() {
+  if (!state.activeCallTabId) {
+    console.log('[Background] Headset mute pressed with no active call');
+    return;
+  }
+  // Same path as a MuteMe tap, so the requested-but-unconfirmed state is
+  // tracked and presses in quick succession on either device add up
+  dispatchTouch({ type: TOUCH_INPUT.TOGGLE });
 }
 
 // ============================================================================
 // Call Session Management
 // ============================================================================
-function handleCallStarted(tabId, platform) {
+function handleCallStarted(tabId, platform, { title = null, focused = false, frameId = 0 } = {}) {
   console.log('[Background] Call started in tab:', tabId, 'platform:', platform);
-  state.activeCallTabId = tabId;
-  state.activePlatform = platform;
+  const isNew = !calls.has(tabId);
+  calls.add(tabId, platform, { title, frameId });
+  if (focused) {
+    calls.focus(tabId);
+  }
+  syncControlledCall();
   updateIcon();
   updateLed();
+
+  // A call started next to the one being controlled
+  if (isNew && state.activeCallTabId !== tabId) {
+    playAnimation(ANIMATION.NOTIFY);
+  }
   broadcastMessage(MESSAGE.CALL_STARTED, { tabId, platform });
 }
 
 function handleCallEnded(tabId) {
   console.log('[Background] Call ended in tab:', tabId);
-  if (state.activeCallTabId === tabId) {
-    state.activeCallTabId = null;
-    state.activePlatform = null;
-    state.isMuted = null;
+  if (calls.remove(tabId)) {
+    syncControlledCall();
     updateIcon();
     updateLed();
     broadcastMessage(MESSAGE.CALL_ENDED, { tabId });
+    applyPendingUpdate();
+  }
+}
+
+/**
+ * Whether a message from a tab frame concerns the call tracked for that tab
+ * (calls run in the frame that reported them, e.g. a Webex meeting iframe)
+ *
+ * @param {number} tabId - Sender tab
+ * @param {number} frameId - Sender frame (0 = top frame)
+ * @returns {boolean} True if the tab's call runs in that frame
+ */
+function isCallFrame(tabId, frameId = 0) {
+  return calls.has(tabId) && (calls.get(tabId).frameId ?? 0) === frameId;
+}
+
+/**
+ * Send a message to the content script running a call
+ *
+ * @param {number} tabId - Call tab
+ * @param {Object} message - Message to send
+ * @returns {Promise<*>} The content script's response
+ */
+function sendToCall(tabId, message) {
+  const frameId = calls.get(tabId)?.frameId ?? 0;
+  return chrome.tabs.sendMessage(tabId, message, { frameId });
+}
+
+/**
+ * Record state reported by a call tab
+ *
+ * @param {number} tabId - Tab hosting the call
+ * @param {Object} changes - Any of { isMuted, isCameraOn, isHandRaised, isPreview }
+ */
+function handleMuteStateChanged(tabId, changes) {
+  console.log('[Background] Mute state changed in tab:', tabId, changes);
+  const call = calls.update(tabId, changes);
+  if (!call) return;
+
+  if (tabId === state.activeCallTabId) {
+    syncControlledCall();
+    updateIcon();
+  }
+  // Mute-all buttons follow every call
+  updateLed();
+  broadcastMessage(MESSAGE.MUTE_STATE_CHANGED, {
+    tabId,
+    isMuted: call.isMuted,
+    isCameraOn: call.isCameraOn,
+    isHandRaised: call.isHandRaised,
+    isPreview: call.isPreview,
+  });
+}
+
+/**
+ * Point the controlled call (state.activeCallTabId and the mirrored mute,
+ * camera and hand state) at the call picked by the control policy
+ *
+ * @returns {boolean} True if a different call is controlled now
+ */
+function syncControlledCall() {
+  const call = calls.getControlled();
+  const tabId = call?.tabId ?? null;
+  const changed = tabId !== state.activeCallTabId;
+
+  if (changed) {
+    console.log('[Background] Controlled call is now tab:', tabId);
+    // Holds, pending mutes and a leave countdown belong to the previous call
+    dispatchTouch({ type: TOUCH_INPUT.CALL_ENDED });
+    if (leaveCountdown) {
+      cancelLeaveCountdown(leaveCountdown.deviceId);
+    }
+  }
+
+  state.activeCallTabId = tabId;
+  state.activePlatform = call?.platform ?? null;
+  state.isMuted = call?.isMuted ?? null;
+  state.isCameraOn = call?.isCameraOn ?? null;
+  state.isHandRaised = call?.isHandRaised ?? null;
+  state.isPreview = call?.isPreview ?? false;
+
+  if (call) {
+    dispatchTouch({ type: TOUCH_INPUT.MUTE_CHANGED, isMuted: state.isMuted });
   }
+  return changed;
 }
 
-function handleMuteStateChanged(tabId, isMuted) {
-  console.log('[Background] Mute state changed:', isMuted);
-  if (state.activeCallTabId === tabId) {
-    state.isMuted = isMuted;
+/**
+ * Re-apply the control policy after a focus or policy change and let the
+ * popup know about the result
+ */
+function refreshControlledCall() {
+  if (syncControlledCall()) {
     updateIcon();
     updateLed();
-    broadcastMessage(MESSAGE.MUTE_STATE_CHANGED, { tabId, isMuted });
+  }
+  broadcastMessage(MESSAGE.STATE_UPDATE, getPublicState());
+}
+
+/**
+ * Note a focused tab; under the FOCUSED policy a focused call becomes the
+ * controlled one
+ */
+function handleTabFocused(tabId) {
+  if (calls.focus(tabId) && state.callPolicy === CALL_POLICY.FOCUSED) {
+    refreshControlledCall();
+  }
+}
+
+/**
+ * Handle a heartbeat or re-registration report from a content script:
+ * registers calls the background lost track of (e.g. after a service worker
+ * restart) and catches up on state changes it missed
+ *
+ * @param {chrome.tabs.Tab} tab - Tab that sent the report
+ * @param {Object} report - { inCall, platform, isMuted, isCameraOn, isHandRaised, isPreview }
+ * @param {number} frameId - Frame that sent the report
+ */
+function handleCallReport(tab, report, frameId = 0) {
+  if (!tab || !report) return;
+
+  if (!report.inCall) {
+    if (isCallFrame(tab.id, frameId)) {
+      handleCallEnded(tab.id);
+    }
+    return;
+  }
+
+  if (!calls.has(tab.id)) {
+    console.log('[Background] Re-registering call in tab:', tab.id);
+    handleCallStarted(tab.id, report.platform, {
+      title: tab.title || null,
+      focused: !!tab.active,
+      frameId,
+    });
+  }
+
+  const call = calls.get(tab.id);
+  if (call.isMuted !== report.isMuted || call.isCameraOn !== report.isCameraOn ||
+    call.isHandRaised !== report.isHandRaised || call.isPreview !== !!report.isPreview) {
+    handleMuteStateChanged(tab.id, {
+      isMuted: report.isMuted,
+      isCameraOn: report.isCameraOn ?? null,
+      isHandRaised: report.isHandRaised ?? null,
+      isPreview: !!report.isPreview,
+    });
+  }
+}
+
+/**
+ * Ask the content script in every call platform tab for its call state.
+ * Tabs without a live content script (open before the extension was
+ * installed or updated) get a fresh one, which reports its call itself.
+ */
+async function requestCallReports() {
+  const scripts = [
+    ...chrome.runtime.getManifest().content_scripts,
+    ...await chrome.scripting.getRegisteredContentScripts(),
+  ];
+
+  await Promise.all(scripts.map(async (script) => {
+    const tabs = await chrome.tabs.query({ url: script.matches });
+    await Promise.all(tabs.map(tab => requestCallReport(tab, script)));
+  }));
+}
+
+/**
+ * Ping one tab for its call state, injecting the controller if nobody answers
+ *
+ * @param {chrome.tabs.Tab} tab - Call platform tab
+ * @param {Object} script - Manifest or registered content script for the tab
+ */
+async function requestCallReport(tab, script) {
+  // A restored call is asked in its own frame, other tabs in the top frame
+  const frameId = calls.get(tab.id)?.frameId ?? 0;
+  try {
+    const report = await chrome.tabs.sendMessage(tab.id, { type: MESSAGE.REPORT_CALL_STATE }, { frameId });
+    handleCallReport(tab, report, frameId);
+    return;
+  } catch (e) {
+    // No content script listening (or only an orphaned one)
+  }
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id, allFrames: !!(script.all_frames ?? script.allFrames) },
+      files: script.js,
+    });
+    console.log('[Background] Injected content script into tab:', tab.id);
+  } catch (e) {
+    // Discarded, still loading, or an error page
+    console.log('[Background] Could not inject content script into tab:', tab.id, e.message);
+  }
+}
+
+/**
+ * Mute every call, or unmute them all when all are muted already
+ */
+function toggleAllCalls() {
+  const all = calls.list();
+  const mute = !all.every(call => call.isMuted === true);
+  console.log('[Background] Setting all calls muted:', mute);
+
+  for (const call of all) {
+    if (call.isMuted !== mute) {
+      sendMuteCommand(mute, call.tabId);
+    }
   }
 }
 
@@ -324,165 +920,186 @@ function handleMuteStateChanged(tabId, isMuted) {
 // ============================================================================
 
 /**
- * Simulate keyboard shortcut for muting/unmuting
- * Using chrome.scripting.executeScript works even when tab is hidden
+ * Set the microphone of a call to the requested state. The content script
+ * reads the current state, sends the platform's shortcut, clicks the mute
+ * button if the shortcut had no effect, and replies with the verified state.
+ *
+ * @param {boolean} shouldMute - True to mute, false to unmute
+ * @param {number} tabId - Call tab (defaults to the controlled call)
+ * @returns {Promise<boolean>} True if the call reached the requested state
  */
-async function sendMuteCommand(shouldMute) {
+async function sendMuteCommand(shouldMute, tabId = state.activeCallTabId) {
+  const call = calls.get(tabId);
   console.log('[Background] sendMuteCommand called:', {
     shouldMute,
-    activeCallTabId: state.activeCallTabId,
-    activePlatform: state.activePlatform,
-    currentMuted: state.isMuted,
+    tabId,
+    platform: call?.platform,
+    currentMuted: call?.isMuted,
   });
 
-  if (state.activeCallTabId === null) {
+  if (!call) {
     console.log('[Background] No active call to mute/unmute');
-    return;
+    return false;
   }
 
   try {
-    // Use scripting API to inject keyboard simulation directly
-    // This works even when the tab is hidden (not just unfocused)
-    if (state.activePlatform === PLATFORM.GOOGLE_MEET) {
-      console.log('[Background] Executing Meet mute toggle script...');
-      await chrome.scripting.executeScript({
-        target: { tabId: state.activeCallTabId },
-        func: simulateMeetMuteToggle,
-      });
-      console.log('[Background] Script executed, scheduling state query...');
-      // Query mute state after a short delay (DOM needs time to update)
-      setTimeout(() => queryMuteState(), 300);
-    } else if (state.activePlatform === PLATFORM.MICROSOFT_TEAMS) {
-      console.log('[Background] Executing Teams mute toggle script...');
-      await chrome.scripting.executeScript({
-        target: { tabId: state.activeCallTabId },
-        func: simulateTeamsMuteToggle,
-      });
-      setTimeout(() => queryMuteState(), 300);
-    } else {
-      console.log('[Background] Unknown platform, using message-based approach');
-      // Fallback to message-based approach
-      await chrome.tabs.sendMessage(state.activeCallTabId, {
-        type: MESSAGE.SET_MUTE,
-        data: { mute: shouldMute },
-      });
+    const result = await sendToCall(tabId, {
+      type: MESSAGE.SET_MUTE,
+      data: { mute: shouldMute },
+    });
+
+    // Record what the page shows, whether or not it is what was asked for
+    if (typeof result?.isMuted === 'boolean' && calls.get(tabId)?.isMuted !== result.isMuted) {
+      handleMuteStateChanged(tabId, { isMuted: result.isMuted });
+    }
+    if (!result?.ok) {
+      throw new Error(`Mute state is ${result?.isMuted} after ${result?.method}`);
     }
+    console.log('[Background] Mute state set via:', result.method);
+    return true;
   } catch (e) {
-    console.warn('[Background] Failed to send mute command:', e);
+    console.warn('[Background] Failed to set mute state:', e);
+    if (tabId === state.activeCallTabId) {
+      dispatchTouch({ type: TOUCH_INPUT.MUTE_FAILED });
+    }
+    playAnimation(ANIMATION.ERROR);
+    // Catch up with the page (or drop the call if nothing answers any more)
+    refreshCallReport(tabId);
+    return false;
   }
 }
 
+// ============================================================================
+// Call Commands
+// ============================================================================
+
 /**
- * Query mute state directly from the page via script injection
- * This works even when the tab is hidden
+ * Send a toggle command to the content script of the active call
+ *
+ * @param {string} type - MESSAGE.TOGGLE_CAMERA or MESSAGE.TOGGLE_HAND
+ * @returns {Promise<boolean>} True if the call confirmed the change
  */
-async function queryMuteState() {
-  console.log('[Background] queryMuteState called, tabId:', state.activeCallTabId, 'platform:', state.activePlatform);
-
+async function sendCallCommand(type) {
   if (state.activeCallTabId === null) {
-    console.log('[Background] No active call tab, skipping query');
-    return;
+    console.log(`[Background] No active call for command: ${type}`);
+    return false;
   }
 
   try {
-    let result;
-    if (state.activePlatform === PLATFORM.GOOGLE_MEET) {
-      console.log('[Background] Querying Meet mute state...');
-      result = await chrome.scripting.executeScript({
-        target: { tabId: state.activeCallTabId },
-        func: getMeetMuteState,
-      });
-    } else if (state.activePlatform === PLATFORM.MICROSOFT_TEAMS) {
-      console.log('[Background] Querying Teams mute state...');
-      result = await chrome.scripting.executeScript({
-        target: { tabId: state.activeCallTabId },
-        func: getTeamsMuteState,
-      });
-    }
-
-    console.log('[Background] Query result:', result);
-
-    if (result && result[0] && result[0].result !== null) {
-      const isMuted = result[0].result;
-      console.log('[Background] Mute state from page:', isMuted, 'current state:', state.isMuted);
-      if (state.isMuted !== isMuted) {
-        console.log('[Background] State changed, updating...');
-        handleMuteStateChanged(state.activeCallTabId, isMuted);
-      }
-    } else {
-      console.log('[Background] Could not determine mute state from result');
+    const result = await sendToCall(state.activeCallTabId, { type });
+    if (!result?.ok) {
+      throw new Error(`State is ${result?.state} after ${result?.method}`);
     }
+    return true;
   } catch (e) {
-    console.warn('[Background] Failed to query mute state:', e);
+    console.warn(`[Background] Failed to send ${type} command:`, e);
+    playAnimation(ANIMATION.ERROR);
+    return false;
   }
 }
 
 /**
- * Injected function to simulate Ctrl+D in Google Meet
- * This is injected directly into the page context via chrome.scripting
+ * Toggle the camera in the active call
  */
-function simulateMeetMuteToggle() {
-  const keydownEvent = new KeyboardEvent('keydown', {
-    key: 'd',
-    code: 'KeyD',
-    keyCode: 68,
-    which: 68,
-    ctrlKey: true,
-    bubbles: true,
-    cancelable: true,
-  });
-  document.dispatchEvent(keydownEvent);
+function sendCameraCommand() {
+  return sendCallCommand(MESSAGE.TOGGLE_CAMERA);
 }
 
 /**
- * Injected function to simulate Ctrl+Shift+M in Microsoft Teams
- * This is injected directly into the page context via chrome.scripting
+ * Raise or lower the hand in the active call
  */
-function simulateTeamsMuteToggle() {
-  const keydownEvent = new KeyboardEvent('keydown', {
-    key: 'm',
-    code: 'KeyM',
-    keyCode: 77,
-    which: 77,
-    ctrlKey: true,
-    shiftKey: true,
-    bubbles: true,
-    cancelable: true,
-  });
-  document.dispatchEvent(keydownEvent);
+function sendRaiseHandCommand() {
+  return sendCallCommand(MESSAGE.TOGGLE_HAND);
 }
 
 /**
- * Injected function to get mute state from Google Meet
+ * Leave the active call: the content script clicks the platform's leave /
+ * hang-up button, then the call is ended here right away
+ *
+ * @returns {Promise<boolean>} True if the leave button was clicked
  */
-function getMeetMuteState() {
-  const button = document.querySelector('[data-is-muted]');
-  if (button) {
-    return button.getAttribute('data-is-muted') === 'true';
+async function sendLeaveCommand() {
+  const tabId = state.activeCallTabId;
+  if (tabId === null) {
+    console.log('[Background] No active call to leave');
+    return false;
   }
-  // Fallback to aria-label
-  const micButton = document.querySelector('[aria-label*="microphone" i]');
-  if (micButton) {
-    const label = micButton.getAttribute('aria-label')?.toLowerCase() || '';
-    if (label.includes('turn off')) return false;
-    if (label.includes('turn on')) return true;
+
+  try {
+    const response = await sendToCall(tabId, { type: MESSAGE.LEAVE_CALL });
+    if (!response?.left) {
+      throw new Error('Leave button not found');
+    }
+    handleCallEnded(tabId);
+    return true;
+  } catch (e) {
+    console.warn('[Background] Failed to leave call:', e);
+    playAnimation(ANIMATION.ERROR);
+    return false;
   }
-  return null;
 }
 
 /**
- * Injected function to get mute state from Microsoft Teams
+ * Re-read the call state of a tab from its content script. The call ends
+ * when the tab no longer reports one, or has no live content script.
+ *
+ * @param {number} tabId - Call tab
  */
-function getTeamsMuteState() {
-  const muteButton = document.querySelector('[data-tid="toggle-mute"]') ||
-                     document.querySelector('button[aria-label*="mute" i]') ||
-                     document.querySelector('#microphone-button');
-  if (muteButton) {
-    const ariaLabel = muteButton.getAttribute('aria-label')?.toLowerCase() || '';
-    if (ariaLabel.includes('unmute')) return true;
-    if (ariaLabel.includes('mute')) return false;
+async function refreshCallReport(tabId) {
+  const frameId = calls.get(tabId)?.frameId ?? 0;
+  let report = null;
+  try {
+    report = await sendToCall(tabId, { type: MESSAGE.REPORT_CALL_STATE });
+  } catch (e) {
+    console.log('[Background] No content script answering in tab:', tabId);
+  }
+
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  handleCallReport(tab || { id: tabId }, report || { inCall: false }, frameId);
+}
+
+// ============================================================================
+// Virtual Devices
+// ============================================================================
+const virtualDevices = new Map(); // virtualId -> VirtualMuteMeDevice
+
+function getVirtualDeviceList() {
+  return [...virtualDevices.values()].map(device => device.getInfo());
+}
+
+async function addVirtualDevice(options = {}) {
+  const device = new VirtualMuteMeDevice(options);
+  virtualDevices.set(device.virtualId, device);
+
+  device.onLedChange = (led) => {
+    broadcastMessage(MESSAGE.VIRTUAL_LED, { virtualId: device.virtualId, led });
+  };
+
+  console.log('[Background] Virtual device added:', device.virtualId);
+  await muteme.addVirtualDevice(device);
+  broadcastMessage(MESSAGE.VIRTUAL_DEVICE_LIST, getVirtualDeviceList());
+  return device.getInfo();
+}
+
+async function removeVirtualDevice(virtualId) {
+  const device = virtualDevices.get(virtualId);
+  if (!device) return;
+
+  virtualDevices.delete(virtualId);
+  await muteme.removeVirtualDevice(device);
+  console.log('[Background] Virtual device removed:', virtualId);
+  broadcastMessage(MESSAGE.VIRTUAL_DEVICE_LIST, getVirtualDeviceList());
+}
+
+function handleVirtualTouch(virtualId, action) {
+  const device = virtualDevices.get(virtualId);
+  if (!device) return;
+
+  if (action === 'start') {
+    device.touchStart();
+  } else {
+    device.touchEnd();
   }
-  return null;
 }
 
 // ============================================================================
@@ -510,6 +1127,7 @@ function handleMessage(message, sender) {
   switch (type) {
     case MESSAGE.PERMISSION_GRANTED:
       muteme.connect();
+      headset.connect();
       break;
 
     case MESSAGE.GET_STATE:
@@ -523,16 +1141,39 @@ function handleMessage(message, sender) {
       sendMuteCommand(data.mute);
       break;
 
+    case MESSAGE.TOGGLE_CAMERA:
+      sendCameraCommand();
+      break;
+
+    case MESSAGE.TOGGLE_HAND:
+      sendRaiseHandCommand();
+      break;
+
     case MESSAGE.CALL_STARTED:
-      handleCallStarted(sender.tab?.id, data.platform);
+      handleCallStarted(sender.tab?.id, data.platform, {
+        title: sender.tab?.title || null,
+        focused: !!sender.tab?.active,
+        frameId: sender.frameId ?? 0,
+      });
       break;
 
     case MESSAGE.CALL_ENDED:
-      handleCallEnded(sender.tab?.id);
+      if (isCallFrame(sender.tab?.id, sender.frameId ?? 0)) {
+        handleCallEnded(sender.tab?.id);
+      }
+      break;
+
+    case MESSAGE.CALL_HEARTBEAT:
+      handleCallReport(sender.tab, data, sender.frameId ?? 0);
       break;
 
     case MESSAGE.MUTE_STATE_CHANGED:
-      handleMuteStateChanged(sender.tab?.id, data.isMuted);
+      handleMuteStateChanged(sender.tab?.id, {
+        isMuted: data.isMuted,
+        isCameraOn: data.isCameraOn ?? null,
+        isHandRaised: data.isHandRaised ?? null,
+        isPreview: !!data.isPreview,
+      });
       break;
 
     case MESSAGE.SET_LED:
@@ -543,6 +1184,14 @@ function handleMessage(message, sender) {
 
     case MESSAGE.SET_TOUCH_MODE:
       state.touchMode = data.mode;
+      dispatchTouch({ type: TOUCH_INPUT.SET_MODE, mode: data.mode });
+      saveState();
+      updateLed();
+      broadcastMessage(MESSAGE.STATE_UPDATE, getPublicState());
+      break;
+
+    case MESSAGE.SET_CAMERA_LED:
+      state.dimLedWhenCameraOff = data.enabled;
       saveState();
       updateLed();
       broadcastMessage(MESSAGE.STATE_UPDATE, getPublicState());
@@ -554,14 +1203,79 @@ function handleMessage(message, sender) {
       broadcastMessage(MESSAGE.STATE_UPDATE, getPublicState());
       break;
 
+    case MESSAGE.SET_DEVICE_NAME:
+      if (data.name) {
+        state.deviceNames[data.deviceId] = data.name;
+      } else {
+        delete state.deviceNames[data.deviceId];
+      }
+      muteme.setDeviceName(data.deviceId, data.name);
+      saveState();
+      broadcastMessage(MESSAGE.STATE_UPDATE, getPublicState());
+      break;
+
+    case MESSAGE.SET_DEVICE_ROLE:
+      state.deviceRoles[data.deviceId] = data.role;
+      saveState();
+      updateLed();
+      broadcastMessage(MESSAGE.STATE_UPDATE, getPublicState());
+      break;
+
+    case MESSAGE.VIRTUAL_DEVICE_ADD:
+      return addVirtualDevice(data || {});
+
+    case MESSAGE.VIRTUAL_DEVICE_REMOVE:
+      removeVirtualDevice(data.virtualId);
+      break;
+
+    case MESSAGE.VIRTUAL_DEVICE_LIST:
+      return getVirtualDeviceList();
+
+    case MESSAGE.VIRTUAL_TOUCH:
+      handleVirtualTouch(data.virtualId, data.action);
+      break;
+
+    case MESSAGE.SET_GESTURE_ACTION:
+      state.gestureActions[data.gesture] = data.action;
+      saveState();
+      broadcastMessage(MESSAGE.STATE_UPDATE, getPublicState());
+      break;
+
+    case MESSAGE.SET_CALL_POLICY:
+      // Picking "pinned" here pins the call that is controlled right now
+      if (data.policy === CALL_POLICY.PINNED && state.activeCallTabId !== null) {
+        calls.pin(state.activeCallTabId);
+      } else {
+        calls.setPolicy(data.policy);
+      }
+      state.callPolicy = data.policy;
+      saveState();
+      refreshControlledCall();
+      break;
+
+    case MESSAGE.ADD_JITSI_SERVER:
+      if (!state.jitsiServers.includes(data.host)) {
+        state.jitsiServers = [...state.jitsiServers, data.host];
+        saveState();
+      }
+      // Rooms already open on the server get a controller right away
+      return syncJitsiServers().then(() => requestCallReports());
+
+    case MESSAGE.REMOVE_JITSI_SERVER:
+      removeJitsiServer(data.host);
+      break;
+
+    case MESSAGE.SET_CONTROLLED_CALL:
+      if (calls.pin(data.tabId)) {
+        state.callPolicy = CALL_POLICY.PINNED;
+        saveState();
+        refreshControlledCall();
+      }
+      break;
+
     case MESSAGE.FOCUS_MEETING_TAB:
       // Directly focus the meeting tab (from popup click)
-      if (state.activeCallTabId) {
-        chrome.tabs.get(state.activeCallTabId).then(tab => {
-          chrome.tabs.update(state.activeCallTabId, { active: true });
-          chrome.windows.update(tab.windowId, { focused: true });
-        }).catch(() => {});
-      }
+      activateMeetingTab();
       break;
 
     default:
@@ -575,48 +1289,211 @@ function handleMessage(message, sender) {
 function setupTabMonitoring() {
   // Handle tab close
   chrome.tabs.onRemoved.addListener((tabId) => {
-    if (state.activeCallTabId === tabId) {
+    if (calls.has(tabId)) {
       handleCallEnded(tabId);
     }
   });
 
   // Handle tab URL change (navigating away from call)
-  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    if (state.activeCallTabId === tabId && changeInfo.url) {
-      // Check if still on a call page
-      const isMeetCall = tab.url?.includes('meet.google.com') && tab.url?.match(/[a-z]{3}-[a-z]{4}-[a-z]{3}/);
-      const isTeamsCall = tab.url?.includes('teams.microsoft.com');
-
-      if (!isMeetCall && !isTeamsCall) {
-        handleCallEnded(tabId);
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (!calls.has(tabId)) return;
+
+    if (changeInfo.title) {
+      calls.update(tabId, { title: changeInfo.title });
+    }
+    if (changeInfo.url) {
+      // Ask the page whether it is still in the call
+      refreshCallReport(tabId);
+    }
+  });
+
+  // Track focus for the FOCUSED call policy
+  chrome.tabs.onActivated.addListener(({ tabId }) => {
+    handleTabFocused(tabId);
+  });
+
+  chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, windowId });
+      if (tab) {
+        handleTabFocused(tab.id);
+      }
+    } catch (e) {
+      // Window closed in the meantime
+    }
+  });
+}
+
+// ============================================================================
+// Self-hosted Jitsi Servers
+// ============================================================================
+// Servers added in the popup are kept in storage, and each is an optional
+// host permission requested at runtime. Only those servers get the Jitsi
+// controller as a registered content script: other optional grants (even
+// https://*/*) are not Jitsi servers.
+const JITSI_SCRIPT_ID = 'jitsi-servers';
+
+const JITSI_SCRIPT_FILES = [
+  'content-scripts/controller-runtime.js',
+  'content-scripts/jitsi-controller.js',
+];
+
+/**
+ * Follow host permissions granted or revoked in the popup or on the
+ * extensions page
+ *
+ * @param {Promise} restored - Resolves once the call state is restored
+ */
+function setupJitsiServers(restored) {
+  chrome.permissions.onAdded.addListener(async ({ origins = [] }) => {
+    if (origins.length === 0) return;
+    await restored;
+    await syncJitsiServers();
+  });
+
+  chrome.permissions.onRemoved.addListener(async ({ origins = [] }) => {
+    if (origins.length === 0) return;
+    await restored;
+
+    // Access revoked on the extensions page: the server is gone for good
+    const servers = state.jitsiServers.filter(host => !origins.includes(getJitsiOrigin(host)));
+    if (servers.length !== state.jitsiServers.length) {
+      state.jitsiServers = servers;
+      saveState();
+    }
+    await syncJitsiServers();
+  });
+}
+
+function getJitsiOrigin(host) {
+  return `https://${host}/*`;
+}
+
+/**
+ * Forget a server added in the popup and give its access back
+ *
+ * @param {string} host - Server host
+ */
+async function removeJitsiServer(host) {
+  state.jitsiServers = state.jitsiServers.filter(server => server !== host);
+  saveState();
+  await syncJitsiServers();
+
+  try {
+    await chrome.permissions.remove({ origins: [getJitsiOrigin(host)] });
+  } catch (e) {
+    // Access may be part of a broader grant; the server is dropped anyway
+  }
+}
+
+/**
+ * Register the Jitsi controller for the added servers that have access
+ * granted (or unregister it when there are none) and publish the list
+ */
+async function syncJitsiServers() {
+  try {
+    const granted = [];
+    for (const host of state.jitsiServers) {
+      if (await chrome.permissions.contains({ origins: [getJitsiOrigin(host)] })) {
+        granted.push(host);
+      }
+    }
+    state.jitsiDomains = granted;
+    const matches = granted.map(getJitsiOrigin);
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [JITSI_SCRIPT_ID] });
+    if (matches.length === 0) {
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [JITSI_SCRIPT_ID] });
+      }
+    } else {
+      const script = { id: JITSI_SCRIPT_ID, matches, js: JITSI_SCRIPT_FILES, runAt: 'document_idle' };
+      if (registered.length > 0) {
+        await chrome.scripting.updateContentScripts([script]);
+      } else {
+        await chrome.scripting.registerContentScripts([script]);
       }
     }
+    console.log('[Background] Jitsi servers:', state.jitsiDomains);
+  } catch (e) {
+    console.warn('[Background] Failed to register Jitsi servers:', e);
+  }
+
+  broadcastMessage(MESSAGE.STATE_UPDATE, getPublicState());
+}
+
+// ============================================================================
+// Extension Updates (held back while a call is active)
+// ============================================================================
+
+// Inactivity after which a held update is applied even during a call
+const UPDATE_IDLE_SECONDS = 15 * 60;
+
+/**
+ * Hold downloaded updates instead of letting Chrome restart the extension
+ * mid-call; they are applied when the last call ends or the user is away
+ *
+ * @param {Promise} restored - Resolves once the call state is restored
+ */
+function setupUpdateHandling(restored) {
+  chrome.runtime.onUpdateAvailable.addListener(async (details) => {
+    console.log('[Background] Update available:', details.version);
+    state.pendingUpdateVersion = details.version;
+    await chrome.storage.session.set({ pendingUpdateVersion: details.version });
+    await restored;
+    broadcastMessage(MESSAGE.STATE_UPDATE, getPublicState());
+    applyPendingUpdate();
+  });
+
+  chrome.idle.setDetectionInterval(UPDATE_IDLE_SECONDS);
+  chrome.idle.onStateChanged.addListener(async (idleState) => {
+    if (idleState === 'active') return;
+    await restored;
+    applyPendingUpdate({ evenDuringCall: true });
   });
 }
 
+/**
+ * Reload into a held update, unless a call is active
+ *
+ * @param {Object} options - { evenDuringCall } when the user is away
+ */
+function applyPendingUpdate({ evenDuringCall = false } = {}) {
+  if (!state.pendingUpdateVersion) return;
+
+  if (state.activeCallTabId !== null && !evenDuringCall) {
+    console.log('[Background] Holding update until the call ends:', state.pendingUpdateVersion);
+    return;
+  }
+
+  console.log('[Background] Applying update:', state.pendingUpdateVersion);
+  chrome.runtime.reload();
+}
+
 // ============================================================================
 // Initialization
 // ============================================================================
 async function initialize() {
   console.log('[Background] Initializing MuteMe Controller...');
 
-  // Load saved state
-  await loadState();
-
-  // Initialize MuteMe driver
-  await muteme.init({
-    onConnect: onMutemeConnect,
-    onDisconnect: onMutemeDisconnect,
-    onTouchStart: onTouchStart,
-    onTouchEnd: onTouchEnd,
-  });
+  // Listeners are added before the first await: the event that woke the
+  // worker is only delivered to listeners registered during startup.
+  // Handlers run once the saved state is loaded.
+  const restored = restoreState();
 
   // Set up message listeners
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    const result = handleMessage(message, sender);
-    if (result !== undefined) {
-      sendResponse(result);
-    }
+    // Handlers may return a value or a promise of one
+    restored.then(() => handleMessage(message, sender)).then((result) => {
+      if (result !== undefined) {
+        sendResponse(result);
+      }
+    }).catch((e) => {
+      console.error('[Background] Failed to handle message:', message.type, e);
+      sendResponse({ error: e.message });
+    });
     return true; // Keep channel open for async response
   });
 
@@ -631,27 +1508,71 @@ async function initialize() {
     });
 
     // Send current state to new client
-    port.postMessage({
-      type: MESSAGE.STATE_UPDATE,
-      data: getPublicState(),
+    restored.then(() => {
+      if (clients.has(port)) {
+        port.postMessage({
+          type: MESSAGE.STATE_UPDATE,
+          data: getPublicState(),
+        });
+      }
     });
   });
 
   // Set up tab monitoring
   setupTabMonitoring();
 
+  // Hold extension updates during calls
+  setupUpdateHandling(restored);
+
+  // Follow self-hosted Jitsi servers added or removed
+  setupJitsiServers(restored);
+
+  await restored;
+  muteme.setDeviceNames(state.deviceNames);
+
+  // Initialize MuteMe driver and subscribe to its events
+  await muteme.init();
+  muteme.on(MUTEME_EVENT.CONNECT, onMutemeConnect);
+  muteme.on(MUTEME_EVENT.DISCONNECT, onMutemeDisconnect);
+  muteme.on(MUTEME_EVENT.TOUCH_START, onTouchStart);
+  muteme.on(MUTEME_EVENT.TOUCH_END, onTouchEnd);
+  muteme.on(MUTEME_EVENT.GESTURE, onGesture);
+
+  // Initialize telephony headset adapter
+  await headset.init({
+    onConnect: onHeadsetConnect,
+    onDisconnect: onHeadsetDisconnect,
+    onMuteToggle: onHeadsetMuteToggle,
+  });
+
+  await syncJitsiServers();
+
+  // Catch up on calls that started, ended or changed while the worker was
+  // suspended (content scripts only report changes they see themselves).
+  // Runs on every worker start, so after an install or update the tabs that
+  // were already open get working content scripts again.
+  await requestCallReports();
+
+  // An update that arrived before a restart may be applicable by now
+  applyPendingUpdate();
+
   // Set up device connection polling (service workers don't reliably get HID events)
   setupDevicePolling();
 
-  // Try to connect to already-paired device
+  // Try to connect to already-paired devices
   if (await muteme.isDeviceAvailable()) {
-    console.log('[Background] Found paired MuteMe device');
+    console.log('[Background] Found paired MuteMe device(s)');
     await muteme.connect();
   } else {
     console.log('[Background] No paired MuteMe device found');
     icon.setDisconnected();
   }
 
+  if (await headset.isDeviceAvailable()) {
+    console.log('[Background] Found paired headset');
+    await headset.connect();
+  }
+
   console.log('[Background] Initialization complete');
 }
 
@@ -667,45 +1588,18 @@ function setupDevicePolling() {
 }
 
 async function checkDeviceStatus() {
-  const wasConnected = state.mutemeConnected;
-  const isAvailable = await muteme.isDeviceAvailable();
-
-  // Device was connected but is no longer available
-  if (wasConnected && !isAvailable) {
-    console.log('[Background] Poll detected device disconnection');
-    // Clean up the connection
-    muteme.device = null;
-    muteme.isConnected = false;
-    onMutemeDisconnect();
-  }
-  // Device was not connected but is now available
-  else if (!wasConnected && isAvailable) {
-    console.log('[Background] Poll detected device available, attempting connection...');
-    await muteme.connect();
-  }
-  // Verify connection is still valid
-  else if (wasConnected && isAvailable && muteme.device) {
-    // Try to verify the device is actually responsive
-    try {
-      // Check if device is still opened
-      if (!muteme.device.opened) {
-        console.log('[Background] Poll: device reference exists but not opened, reconnecting...');
-        await muteme.connect();
-      }
-    } catch (e) {
-      console.log('[Background] Poll: device check failed, triggering disconnect');
-      muteme.device = null;
-      muteme.isConnected = false;
-      onMutemeDisconnect();
-    }
-  }
+  // Drops vanished devices and connects new ones; the driver fires
+  // onConnect/onDisconnect for every change it makes
+  await muteme.sync();
+  await headset.sync();
 }
 
-// Run initialization
-if (navigator.hid) {
-  initialize();
-} else {
-  console.error(
-    'WebHID is not available! Use chrome://flags#enable-web-hid-on-extension-service-worker',
+// Run initialization. Without WebHID only virtual devices can connect: the
+// drivers skip HID enumeration and listeners then, everything else runs.
+if (!navigator.hid) {
+  console.warn(
+    '[Background] WebHID is not available, only virtual devices will work. ' +
+    'Use chrome://flags#enable-web-hid-on-extension-service-worker for hardware.',
   );
 }
+initialize();
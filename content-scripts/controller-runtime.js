@@ -0,0 +1,579 @@
+/**
+ * @filename controller-runtime.js
+ * @description Shared runtime for the call platform content scripts
+ *
+ * Loaded before a platform adapter (see manifest.json), which describes the
+ * platform and hands itself to startController(). The runtime does the rest:
+ * call detection, mute/camera/hand state monitoring, heartbeats, verified
+ * actuation (keyboard shortcut first, button click as fallback) and the
+ * messaging with the background.
+ *
+ * Adapter shape:
+ *   {
+ *     platform: 'meet',                  // Value from PLATFORM
+ *     name: 'Meet',                      // Log prefix: [MuteMe Meet]
+ *     call: {
+ *       path: /regex/,                   // Optional, URL path of call pages
+ *       indicators: [selectors],         // Present while in a call
+ *       indicatorsOnly: false,           // Optional, true if the mute control
+ *                                        // is shown outside calls too
+ *       previewIndicators: [selectors],  // Optional, pre-join screen; counts
+ *                                        // as a call, reported with isPreview
+ *     },
+ *     controls: {
+ *       mute: { selectors, read, shortcut },   // read(button) -> true = muted
+ *       camera: { selectors, read, shortcut }, // read(button) -> true = on
+ *       hand: { selectors, read, shortcut },   // read(button) -> true = raised
+ *       leave: { selectors, confirmSelectors }, // confirm: optional 2nd click
+ *     },
+ *     observedAttributes: [names],       // Attributes that reflect state changes
+ *     initialCheckDelay: 0,              // Optional, for slow-loading apps
+ *     isVisible: el => boolean,          // Optional visibility check override
+ *   }
+ *
+ * A shortcut is a KeyboardEvent description:
+ *   { key: 'd', code: 'KeyD', keyCode: 68, ctrlKey: true }
+ * Controls without a shortcut are actuated by clicking their button; missing
+ * controls read as unknown (null).
+ *
+ * On a pre-join (preview) screen the mute control sets how you will join, so
+ * it is read and changed like in the meeting itself.
+ */
+
+'use strict';
+
+// Message types (duplicated here since content scripts can't use ES modules in manifest v3)
+const MESSAGE = {
+  CALL_STARTED: 'muteme:call-started',
+  CALL_ENDED: 'muteme:call-ended',
+  MUTE_STATE_CHANGED: 'muteme:mute-state-changed',
+  CALL_HEARTBEAT: 'muteme:call-heartbeat',
+  REPORT_CALL_STATE: 'muteme:report-call-state',
+  SET_MUTE: 'muteme:set-mute',
+  TOGGLE_MUTE: 'muteme:toggle-mute',
+  TOGGLE_CAMERA: 'muteme:toggle-camera',
+  TOGGLE_HAND: 'muteme:toggle-hand',
+  LEAVE_CALL: 'muteme:leave-call',
+  GET_VISIBILITY: 'muteme:get-visibility',
+};
+
+// While in a call, the full call state is re-sent this often so a restarted
+// service worker can rebuild its call list (it also keeps the worker awake)
+const HEARTBEAT_INTERVAL_MS = 20000;
+
+// How long an actuation step waits for the call to show the new state
+const VERIFY_TIMEOUT_MS = 600;
+
+const CALL_CHECK_INTERVAL_MS = 1000;
+const STATE_CHECK_INTERVAL_MS = 500;
+
+// ============================================================================
+// State
+// ============================================================================
+let adapter = null;
+let logPrefix = '[MuteMe]';
+
+// Fired on the page by each controller instance as it starts. After an
+// extension update the previous instance is still running but orphaned
+// (it can no longer reach the extension), and shuts down when it sees this.
+let controllerLoadedEvent = null;
+
+let isInCall = false;
+let isMuted = null;
+let isCameraOn = null;
+let isHandRaised = null;
+let isPreview = false;
+let stateCheckInterval = null;
+let heartbeatInterval = null;
+let actionQueue = Promise.resolve(); // Actuations run one at a time
+let callCheckInterval = null;
+let domObserver = null;
+
+// ============================================================================
+// DOM Helpers
+// ============================================================================
+function isElementVisible(el) {
+  if (!el) return false;
+
+  const rect = el.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) return false;
+
+  const style = getComputedStyle(el);
+  return style.visibility !== 'hidden' &&
+         style.display !== 'none' &&
+         style.opacity !== '0';
+}
+
+/**
+ * First visible element matching the selectors, tried in order
+ *
+ * @param {Array<string>} selectors - CSS selectors, most specific first
+ * @returns {Element|null} Matching element
+ */
+function findVisible(selectors) {
+  const isVisible = adapter.isVisible || isElementVisible;
+
+  for (const selector of selectors) {
+    for (const element of document.querySelectorAll(selector)) {
+      if (isVisible(element)) {
+        return element;
+      }
+    }
+  }
+  return null;
+}
+
+function findControl(name) {
+  return findVisible(adapter.controls[name]?.selectors || []);
+}
+
+/**
+ * Current state of a control, as read by the adapter
+ *
+ * @param {string} name - 'mute', 'camera' or 'hand'
+ * @returns {boolean|null} State, or null if it cannot be read
+ */
+function readControl(name) {
+  const button = findControl(name);
+  return button ? adapter.controls[name].read(button) : null;
+}
+
+function describeShortcut(shortcut) {
+  return [
+    shortcut.ctrlKey && 'Ctrl',
+    shortcut.altKey && 'Alt',
+    shortcut.shiftKey && 'Shift',
+    shortcut.code.replace(/^Key/, ''),
+  ].filter(Boolean).join('+');
+}
+
+/**
+ * Dispatch a keyboard shortcut on the page, as a key press and release
+ * (Jitsi acts on the release). Unlike button.click() this works even when
+ * the tab is not focused.
+ *
+ * @param {Object} shortcut - KeyboardEvent description
+ */
+function pressShortcut(shortcut) {
+  console.log(logPrefix, 'Simulating', describeShortcut(shortcut), 'shortcut');
+
+  for (const type of ['keydown', 'keyup']) {
+    document.dispatchEvent(new KeyboardEvent(type, {
+      which: shortcut.keyCode,
+      ...shortcut,
+      bubbles: true,
+      cancelable: true,
+    }));
+  }
+}
+
+// ============================================================================
+// Actuation
+// ============================================================================
+
+/**
+ * Wait until a control shows the expected state. Watches the DOM instead of
+ * polling, as timers are throttled in background tabs.
+ *
+ * @param {string} name - Control name
+ * @param {boolean} expected - Expected state
+ * @returns {Promise<boolean>} True if the state matched within VERIFY_TIMEOUT_MS
+ */
+function waitForControlState(name, expected) {
+  if (readControl(name) === expected) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    let observer = null;
+    let timer = null;
+    const finish = () => {
+      observer.disconnect();
+      clearTimeout(timer);
+      resolve(readControl(name) === expected);
+    };
+    timer = setTimeout(finish, VERIFY_TIMEOUT_MS);
+
+    observer = new MutationObserver(() => {
+      if (readControl(name) === expected) finish();
+    });
+    observer.observe(document.body, { subtree: true, childList: true, attributes: true });
+  });
+}
+
+/**
+ * Bring a control to the requested state: keyboard shortcut first, then a
+ * click on its button, verifying the state after each step. Nothing is sent
+ * when the state already matches, so repeating is safe.
+ *
+ * @param {string} name - 'mute', 'camera' or 'hand'
+ * @param {boolean} desired - Requested state
+ * @returns {Promise<Object>} { ok, state, method } with method 'none',
+ *   'shortcut' or 'click' (null if the state could not be read)
+ */
+async function ensureControl(name, desired) {
+  const control = adapter.controls[name];
+  const current = readControl(name);
+  console.log(logPrefix, `Setting ${name}:`, desired, 'current:', current);
+
+  if (current === null) {
+    // A blind toggle could flip the control the wrong way
+    console.warn(logPrefix, `Cannot determine current ${name} state, not toggling`);
+    return { ok: false, state: null, method: null };
+  }
+  if (current === desired) {
+    return { ok: true, state: current, method: 'none' };
+  }
+
+  if (control.shortcut) {
+    pressShortcut(control.shortcut);
+    if (await waitForControlState(name, desired)) {
+      return { ok: true, state: desired, method: 'shortcut' };
+    }
+  }
+
+  const button = findControl(name);
+  if (button) {
+    console.log(logPrefix, `Clicking ${name} button`);
+    button.click();
+    if (await waitForControlState(name, desired)) {
+      return { ok: true, state: desired, method: 'click' };
+    }
+  }
+
+  const state = readControl(name);
+  console.warn(logPrefix, `Could not set ${name}:`, desired, 'current:', state);
+  return { ok: false, state, method: button ? 'click' : 'shortcut' };
+}
+
+/**
+ * Run an actuation after any other one still in progress, then report the
+ * resulting state
+ *
+ * @param {Function} action - Async function returning a result object
+ * @returns {Promise<Object>} Result of the action
+ */
+function enqueueAction(action) {
+  const result = actionQueue.then(action);
+  actionQueue = result.finally(checkControlState).catch(() => {});
+  return result;
+}
+
+/**
+ * Set the mute state (see ensureControl())
+ *
+ * @param {boolean} shouldMute - True to mute, false to unmute
+ * @returns {Promise<Object>} { ok, isMuted, method }
+ */
+async function setMute(shouldMute) {
+  const { ok, state, method } = await enqueueAction(() => ensureControl('mute', shouldMute));
+  return { ok, isMuted: state, method };
+}
+
+/**
+ * Flip a control. When its state can't be read the shortcut is sent
+ * unverified, as a toggle can't go the wrong way.
+ *
+ * @param {string} name - 'mute', 'camera' or 'hand'
+ * @returns {Promise<Object>} { ok, state, method }
+ */
+function toggleControl(name) {
+  return enqueueAction(async () => {
+    const current = readControl(name);
+    if (current !== null) {
+      return ensureControl(name, !current);
+    }
+
+    const { shortcut } = adapter.controls[name] || {};
+    if (!shortcut) {
+      console.warn(logPrefix, `No ${name} control found`);
+      return { ok: false, state: null, method: null };
+    }
+    pressShortcut(shortcut);
+    return { ok: true, state: null, method: 'shortcut' };
+  });
+}
+
+/**
+ * Click the leave / hang-up button, and the confirmation button if the
+ * platform asks for one
+ *
+ * @returns {boolean} True if the button was found and clicked
+ */
+function leaveCall() {
+  const button = findControl('leave');
+  if (!button) {
+    console.warn(logPrefix, 'Leave button not found');
+    return false;
+  }
+
+  console.log(logPrefix, 'Clicking leave button');
+  button.click();
+
+  const { confirmSelectors } = adapter.controls.leave;
+  if (confirmSelectors) {
+    setTimeout(() => {
+      const confirm = findVisible(confirmSelectors);
+      if (confirm) {
+        console.log(logPrefix, 'Confirming leave');
+        confirm.click();
+      }
+    }, 300);
+  }
+
+  setTimeout(checkCallState, 500);
+  return true;
+}
+
+// ============================================================================
+// State Monitoring
+// ============================================================================
+function checkControlState() {
+  const newMuted = readControl('mute');
+  const newCameraOn = readControl('camera');
+  const newHandRaised = readControl('hand');
+  const newPreview = detectPreview();
+
+  if (newMuted !== isMuted || newCameraOn !== isCameraOn || newHandRaised !== isHandRaised ||
+    newPreview !== isPreview) {
+    isMuted = newMuted;
+    isCameraOn = newCameraOn;
+    isHandRaised = newHandRaised;
+    isPreview = newPreview;
+    console.log(logPrefix, 'Mute state changed:', isMuted, 'camera on:', isCameraOn,
+      'hand raised:', isHandRaised, 'preview:', isPreview);
+
+    chrome.runtime.sendMessage({
+      type: MESSAGE.MUTE_STATE_CHANGED,
+      data: { isMuted, isCameraOn, isHandRaised, isPreview },
+    }).catch(e => console.warn(logPrefix, 'Failed to send mute state:', e));
+  }
+}
+
+/**
+ * Whether the page shows a call: on a call URL (if the adapter restricts it)
+ * with a call or preview indicator or (unless indicatorsOnly) the mute
+ * control visible
+ */
+function detectCall() {
+  const { path, indicators = [], previewIndicators = [], indicatorsOnly = false } = adapter.call;
+  if (path && !path.test(window.location.pathname)) {
+    return false;
+  }
+  if (findVisible(indicators) !== null || findVisible(previewIndicators) !== null) {
+    return true;
+  }
+  return !indicatorsOnly && findControl('mute') !== null;
+}
+
+/**
+ * Whether the call is still on its pre-join screen
+ */
+function detectPreview() {
+  const { indicators = [], previewIndicators = [] } = adapter.call;
+  return findVisible(previewIndicators) !== null && findVisible(indicators) === null;
+}
+
+/**
+ * Full call state, sent as a heartbeat and on request from the background
+ */
+function getCallReport() {
+  return {
+    inCall: isInCall,
+    platform: adapter.platform,
+    isMuted,
+    isCameraOn,
+    isHandRaised,
+    isPreview,
+  };
+}
+
+function sendHeartbeat() {
+  chrome.runtime.sendMessage({
+    type: MESSAGE.CALL_HEARTBEAT,
+    data: getCallReport(),
+  }).catch(e => console.warn(logPrefix, 'Failed to send heartbeat:', e));
+}
+
+function checkCallState() {
+  if (!isExtensionContextValid()) {
+    shutdown();
+    return;
+  }
+
+  const newInCall = detectCall();
+
+  if (newInCall !== isInCall) {
+    isInCall = newInCall;
+    console.log(logPrefix, 'Call state changed:', isInCall);
+
+    if (isInCall) {
+      chrome.runtime.sendMessage({
+        type: MESSAGE.CALL_STARTED,
+        data: { platform: adapter.platform },
+      }).catch(e => console.warn(logPrefix, 'Failed to send call started:', e));
+
+      startStateMonitoring();
+    } else {
+      chrome.runtime.sendMessage({
+        type: MESSAGE.CALL_ENDED,
+        data: { platform: adapter.platform },
+      }).catch(e => console.warn(logPrefix, 'Failed to send call ended:', e));
+
+      stopStateMonitoring();
+    }
+  }
+}
+
+function startStateMonitoring() {
+  if (stateCheckInterval) return;
+
+  stateCheckInterval = setInterval(checkControlState, STATE_CHECK_INTERVAL_MS);
+  checkControlState(); // Initial check
+
+  heartbeatInterval = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
+}
+
+function stopStateMonitoring() {
+  if (stateCheckInterval) {
+    clearInterval(stateCheckInterval);
+    stateCheckInterval = null;
+  }
+  if (heartbeatInterval) {
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+  }
+  isMuted = null;
+  isCameraOn = null;
+  isHandRaised = null;
+  isPreview = false;
+}
+
+// ============================================================================
+// Message Handling
+// ============================================================================
+function handleMessage(message, sender, sendResponse) {
+  switch (message.type) {
+    case MESSAGE.SET_MUTE:
+      setMute(message.data.mute).then(sendResponse);
+      return true; // Respond once the new state is verified
+
+    case MESSAGE.TOGGLE_MUTE:
+      toggleControl('mute').then(sendResponse);
+      return true;
+
+    case MESSAGE.TOGGLE_CAMERA:
+      toggleControl('camera').then(sendResponse);
+      return true;
+
+    case MESSAGE.TOGGLE_HAND:
+      toggleControl('hand').then(sendResponse);
+      return true;
+
+    case MESSAGE.LEAVE_CALL:
+      sendResponse({ left: leaveCall() });
+      break;
+
+    case MESSAGE.REPORT_CALL_STATE:
+      // Re-registration after a service worker restart
+      sendResponse(getCallReport());
+      break;
+
+    case MESSAGE.GET_VISIBILITY:
+      // Return whether the tab content is visible
+      // Either the tab itself is visible, or there's a Picture-in-Picture window
+      // eslint-disable-next-line no-case-declarations
+      const hasPip = typeof documentPictureInPicture !== 'undefined' &&
+                     documentPictureInPicture.window !== null;
+      sendResponse({
+        visible: document.visibilityState === 'visible' || hasPip,
+      });
+      return true; // Keep channel open for async response
+  }
+}
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+/**
+ * False once the extension was reloaded or updated underneath this script
+ */
+function isExtensionContextValid() {
+  return !!chrome.runtime?.id;
+}
+
+/**
+ * Stop an orphaned instance: a fresh controller has taken over, or the
+ * extension context is gone
+ */
+function shutdown() {
+  console.log(logPrefix, 'Extension reloaded or updated, shutting down this instance');
+
+  clearInterval(callCheckInterval);
+  callCheckInterval = null;
+  stopStateMonitoring();
+  if (domObserver) {
+    domObserver.disconnect();
+    domObserver = null;
+  }
+  document.removeEventListener(controllerLoadedEvent, shutdown);
+
+  try {
+    chrome.runtime.onMessage.removeListener(handleMessage);
+  } catch (e) {
+    // Context already invalidated
+  }
+}
+
+function init() {
+  console.log(logPrefix, 'Content script loaded');
+
+  // Retire any instance left over from before an extension update, then
+  // listen for the next one
+  document.dispatchEvent(new CustomEvent(controllerLoadedEvent));
+  document.addEventListener(controllerLoadedEvent, shutdown);
+
+  // Listen for messages from background
+  chrome.runtime.onMessage.addListener(handleMessage);
+
+  // Start monitoring for call state
+  callCheckInterval = setInterval(checkCallState, CALL_CHECK_INTERVAL_MS);
+
+  // Initial check
+  setTimeout(checkCallState, adapter.initialCheckDelay || 0);
+
+  // Also use MutationObserver for faster detection
+  domObserver = new MutationObserver(() => {
+    checkCallState();
+    if (isInCall) {
+      checkControlState();
+    }
+  });
+
+  domObserver.observe(document.body, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: adapter.observedAttributes,
+  });
+}
+
+/**
+ * Start the controller for a platform adapter (called by the adapter script)
+ *
+ * @param {Object} platformAdapter - Platform description (see top of file)
+ */
+// eslint-disable-next-line no-unused-vars
+function startController(platformAdapter) {
+  adapter = platformAdapter;
+  logPrefix = `[MuteMe ${adapter.name}]`;
+  controllerLoadedEvent = `muteme:${adapter.platform}-controller-loaded`;
+
+  // Run when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * @filename discord-controller.js
+ * @description Discord web voice channel adapter for the content-script runtime
+ *
+ * A "call" is a connected voice channel, detected from the voice connection
+ * panel (the mute and deafen switches in the user panel are always there).
+ * Self-mute is read from the user panel; being deafened counts as muted, and
+ * unmuting undeafens, as in Discord itself. Runs after controller-runtime.js.
+ *
+ * Works with every touch mode: in Push-to-Talk the MuteMe unmutes while
+ * held, acting as a hardware push-to-talk key (leave Discord's own input
+ * mode on Voice Activity).
+ */
+
+/* global startController */
+
+'use strict';
+
+const DISCORD_LEAVE_BUTTON_SELECTORS = [
+  'button[aria-label="Disconnect" i]',
+];
+
+startController({
+  platform: 'discord',
+  name: 'Discord',
+
+  call: {
+    path: /^\/channels\//,
+    indicators: [
+      '[class*="rtcConnectionStatus"]',
+      ...DISCORD_LEAVE_BUTTON_SELECTORS,
+    ],
+    // The mute switch is shown outside voice channels too
+    indicatorsOnly: true,
+  },
+
+  controls: {
+    // Clicked rather than using Ctrl+Shift+M: the switch reacts at once, so
+    // push-to-talk presses don't wait for a shortcut that may be ignored
+    mute: {
+      selectors: [
+        'section[aria-label="User area" i] button[role="switch"][aria-label*="mute" i]',
+        'button[role="switch"][aria-label="Mute" i]',
+        'button[role="switch"][aria-label="Unmute" i]',
+      ],
+      read(button) {
+        // Deafened means muted, whatever the mute switch shows
+        const deafen = document.querySelector('button[role="switch"][aria-label*="deafen" i]');
+        if (deafen?.getAttribute('aria-checked') === 'true') {
+          return true;
+        }
+
+        const ariaChecked = button.getAttribute('aria-checked');
+        if (ariaChecked !== null) {
+          return ariaChecked === 'true';
+        }
+
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+        if (label.includes('unmute')) {
+          return true;
+        }
+        if (label.includes('mute')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    // No default camera shortcut in Discord; toggled by clicking
+    camera: {
+      selectors: [
+        'button[aria-label*="Turn On Camera" i]',
+        'button[aria-label*="Turn Off Camera" i]',
+      ],
+      read(button) {
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+        if (label.includes('turn off camera')) {
+          return true; // Camera is on
+        }
+        if (label.includes('turn on camera')) {
+          return false; // Camera is off
+        }
+        return null;
+      },
+    },
+
+    leave: {
+      selectors: DISCORD_LEAVE_BUTTON_SELECTORS,
+    },
+  },
+
+  observedAttributes: ['aria-checked', 'aria-label'],
+});
@@ -0,0 +1,145 @@
+/**
+ * @filename jitsi-controller.js
+ * @description Jitsi Meet adapter for the content-script runtime
+ *
+ * A conference is detected from Jitsi's toolbox, which only exists once you
+ * have joined; the pre-join screen counts as a call in preview. Loaded on
+ * meet.jit.si from the manifest and on self-hosted servers added in the
+ * popup (registered at runtime by the background). Runs after
+ * controller-runtime.js.
+ */
+
+/* global startController */
+
+'use strict';
+
+const JITSI_LEAVE_BUTTON_SELECTORS = [
+  '.hangup-button',
+  '[role="button"][aria-label*="Leave the meeting" i]',
+  '[role="button"][aria-label*="Leave meeting" i]',
+];
+
+/**
+ * Toolbox buttons are toggles: aria-pressed is set while toggled
+ * (microphone muted, camera off, hand raised)
+ */
+function getJitsiPressed(button) {
+  const ariaPressed = button.getAttribute('aria-pressed');
+  return ariaPressed === null ? null : ariaPressed === 'true';
+}
+
+startController({
+  platform: 'jitsi',
+  name: 'Jitsi',
+
+  call: {
+    indicators: [
+      '#new-toolbox',
+      '.new-toolbox',
+      ...JITSI_LEAVE_BUTTON_SELECTORS,
+    ],
+    previewIndicators: [
+      '.premeeting-screen',
+      '[data-testid="prejoin.joinMeeting"]',
+    ],
+    // Room names are free-form paths, and the welcome page has no toolbox
+    indicatorsOnly: true,
+  },
+
+  controls: {
+    mute: {
+      selectors: [
+        '.audio-preview .toolbox-button',
+        '.toolbox-button[aria-label*="microphone" i]',
+        '[role="button"][aria-label="Mute" i]',
+        '[role="button"][aria-label="Unmute" i]',
+      ],
+      shortcut: { key: 'm', code: 'KeyM', keyCode: 77 },
+      read(button) {
+        const pressed = getJitsiPressed(button);
+        if (pressed !== null) {
+          return pressed;
+        }
+
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+
+        // "Unmute" = currently muted
+        if (label.includes('unmute')) {
+          return true;
+        }
+        // "Mute" = currently unmuted
+        if (label.includes('mute')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    camera: {
+      selectors: [
+        '.video-preview .toolbox-button',
+        '.toolbox-button[aria-label*="camera" i]',
+      ],
+      shortcut: { key: 'v', code: 'KeyV', keyCode: 86 },
+      read(button) {
+        // Pressed = video muted, i.e. camera off
+        const pressed = getJitsiPressed(button);
+        if (pressed !== null) {
+          return !pressed;
+        }
+
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+
+        // "Stop camera" = camera is on
+        if (label.includes('stop camera')) {
+          return true;
+        }
+        // "Start camera" = camera is off
+        if (label.includes('start camera')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    hand: {
+      selectors: [
+        '.toolbox-button[aria-label*="hand" i]',
+      ],
+      shortcut: { key: 'r', code: 'KeyR', keyCode: 82 },
+      read(button) {
+        const pressed = getJitsiPressed(button);
+        if (pressed !== null) {
+          return pressed;
+        }
+
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+
+        // "Lower your hand" = hand is currently up
+        if (label.includes('lower')) {
+          return true;
+        }
+        // "Raise your hand" = hand is currently down
+        if (label.includes('raise')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    leave: {
+      selectors: JITSI_LEAVE_BUTTON_SELECTORS,
+    },
+  },
+
+  observedAttributes: ['aria-pressed', 'aria-label'],
+
+  // The toolbox slides away while the mouse is idle but stays laid out, so
+  // only display: none counts as hidden
+  isVisible(el) {
+    return el.offsetParent !== null;
+  },
+});
@@ -0,0 +1,89 @@
+/**
+ * @filename slack-controller.js
+ * @description Slack huddles adapter for the content-script runtime
+ *
+ * Slack stays open all day, so a "call" is an active huddle: detected from
+ * the huddle controls, which only exist while you are in one. Reads and
+ * changes the huddle mic and video state. Runs after controller-runtime.js.
+ */
+
+/* global startController */
+
+'use strict';
+
+const SLACK_LEAVE_BUTTON_SELECTORS = [
+  '[data-qa="huddle_mini_player_leave_button"]',
+  '[data-qa="huddle_leave_button"]',
+  'button[aria-label*="Leave huddle" i]',
+];
+
+startController({
+  platform: 'slack',
+  name: 'Slack',
+
+  call: {
+    indicators: [
+      '[data-qa="huddle_mini_player"]',
+      '.p-huddle_sidebar_footer',
+      ...SLACK_LEAVE_BUTTON_SELECTORS,
+    ],
+  },
+
+  controls: {
+    // Selectors stay specific to the huddle: "mute" also appears in
+    // channel menus, and any visible mute control counts as a call
+    mute: {
+      selectors: [
+        '[data-qa="huddle_mini_player_mute_button"]',
+        '[data-qa="huddle_mute_button"]',
+        'button[aria-label*="Mute mic" i]',
+        'button[aria-label*="Unmute mic" i]',
+      ],
+      shortcut: { key: ' ', code: 'Space', keyCode: 32, ctrlKey: true, shiftKey: true },
+      read(button) {
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+
+        // "Unmute mic" = currently muted
+        if (label.includes('unmute')) {
+          return true;
+        }
+        // "Mute mic" = currently unmuted
+        if (label.includes('mute')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    camera: {
+      selectors: [
+        '[data-qa="huddle_mini_player_video_button"]',
+        '[data-qa="huddle_video_button"]',
+        'button[aria-label*="Turn on video" i]',
+        'button[aria-label*="Turn off video" i]',
+      ],
+      shortcut: { key: 'v', code: 'KeyV', keyCode: 86, ctrlKey: true, shiftKey: true },
+      read(button) {
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+
+        // "Turn off video" = camera is on
+        if (label.includes('turn off video')) {
+          return true;
+        }
+        // "Turn on video" = camera is off
+        if (label.includes('turn on video')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    leave: {
+      selectors: SLACK_LEAVE_BUTTON_SELECTORS,
+    },
+  },
+
+  observedAttributes: ['aria-label', 'aria-pressed', 'data-qa'],
+});
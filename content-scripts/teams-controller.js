@@ -1,67 +1,23 @@
 /**
  * @filename teams-controller.js
- * @description Content script for Microsoft Teams integration
+ * @description Microsoft Teams adapter for the content-script runtime
  *
- * Detects Teams calls, monitors mute state, and handles mute commands.
+ * Describes how to detect Teams calls and read and change the mute, camera
+ * and raised-hand state. Runs after controller-runtime.js.
  */
 
+/* global startController */
+
 'use strict';
 
-// Message types (duplicated here since content scripts can't use ES modules in manifest v3)
-const MESSAGE = {
-  CALL_STARTED: 'muteme:call-started',
-  CALL_ENDED: 'muteme:call-ended',
-  MUTE_STATE_CHANGED: 'muteme:mute-state-changed',
-  SET_MUTE: 'muteme:set-mute',
-  TOGGLE_MUTE: 'muteme:toggle-mute',
-  GET_VISIBILITY: 'muteme:get-visibility',
-};
-
-const PLATFORM = 'teams';
-
-// ============================================================================
-// Selectors
-// ============================================================================
 // Microsoft Teams UI - multiple versions exist (new Teams 2024+, classic, etc.)
-const MUTE_BUTTON_SELECTORS = [
-  // New Teams (2024+) - primary selectors
-  '#mic-button',
-  '#microphone-button',
-
-  // New Teams data attributes
-  '[data-tid="call-control-microphone"]',
-  '[data-tid="toggle-mute"]',
-
-  // ID-based fallbacks
-  '[id*="mic"][role="button"]',
-  '[id*="microphone"][role="button"]',
-
-  // Aria-label based (localized - check multiple languages)
-  'button[aria-label*="microphone" i]',
-  'button[aria-label*="mikrofon" i]',
-  'button[aria-label*="wyciszenie" i]',
-  'button[aria-label*="mute" i]',
-  'button[aria-label*="unmute" i]',
-
-  // Classic Teams
-  'button[title*="microphone" i]',
-  '[data-cid="calling-control-bar-microphone"]',
-];
 
-const CALL_INDICATORS = [
+// Hang-up controls, also used as call indicators
+const TEAMS_LEAVE_BUTTON_SELECTORS = [
   // New Teams (2024+)
-  '[data-cid="call-screen-wrapper"]',
   '#hangup-button',
   '[data-tid="hangup-button"]',
 
-  // New Teams control bars
-  '[data-tid="calling-unified-bar"]',
-  '[data-tid="call-control-bar"]',
-
-  // Classic Teams
-  '[data-cid="calling-unified-bar"]',
-  '#calling-unified-bar',
-
   // Hangup button variations
   '[data-tid="call-control-hangup"]',
   'button[aria-label*="Hang up" i]',
@@ -71,278 +27,216 @@ const CALL_INDICATORS = [
   'button[title*="Opuść" i]',
 ];
 
-// ============================================================================
-// State
-// ============================================================================
-let isInCall = false;
-let isMuted = null;
-let muteCheckInterval = null;
-let _callCheckInterval = null;
-
-// ============================================================================
-// DOM Helpers
-// ============================================================================
-function findMuteButton() {
-  for (const selector of MUTE_BUTTON_SELECTORS) {
-    const buttons = document.querySelectorAll(selector);
-    for (const button of buttons) {
-      if (isElementVisible(button)) {
-        return button;
-      }
-    }
-  }
-  return null;
-}
-
-function isElementVisible(el) {
-  if (!el) return false;
-
-  const rect = el.getBoundingClientRect();
-  if (rect.width === 0 || rect.height === 0) return false;
-
-  const style = getComputedStyle(el);
-  return style.visibility !== 'hidden' &&
-         style.display !== 'none' &&
-         style.opacity !== '0';
-}
-
-function getMuteState() {
-  const button = findMuteButton();
-  if (!button) return null;
-
-  // Check aria-pressed (common in new Teams)
-  const ariaPressed = button.getAttribute('aria-pressed');
-  if (ariaPressed !== null) {
-    return ariaPressed === 'true';
-  }
-
-  // Check aria-label for mute state indicators (multiple languages)
-  const ariaLabel = (button.getAttribute('aria-label') || '').toLowerCase();
-  const title = (button.getAttribute('title') || '').toLowerCase();
-  const label = ariaLabel || title;
-
-  // "Unmute" or "Turn on microphone" or Polish equivalents = currently muted
-  if (label.includes('unmute') ||
-      label.includes('turn on microphone') ||
-      label.includes('wyłącz wyciszenie') ||
-      label.includes('włącz mikrofon')) {
-    return true;
-  }
-  // "Mute" or "Turn off microphone" = currently unmuted
-  if (label.includes('mute') ||
-      label.includes('turn off microphone') ||
-      label.includes('wycisz') ||
-      label.includes('wyłącz mikrofon')) {
-    return false;
-  }
-
-  // Check for SVG icon with data-testid (new Teams 2024+)
-  const micOffIcon = button.querySelector('[data-testid*="mic-off"]');
-  if (micOffIcon) {
-    return true; // Mic off icon present = muted
-  }
-  const micOnIcon = button.querySelector('[data-testid*="mic-on"], [data-testid="ubar-mic-icon"]');
-  if (micOnIcon) {
-    return false; // Mic on icon = unmuted
-  }
-
-  // Check for muted class or icon
-  const classList = button.className.toLowerCase();
-  if (classList.includes('muted') || classList.includes('off')) {
-    return true;
-  }
-
-  // Check child elements for mute indicator (classic Teams)
-  const icon = button.querySelector('[data-icon-name]');
-  if (icon) {
-    const iconName = icon.getAttribute('data-icon-name')?.toLowerCase() || '';
-    if (iconName.includes('micoff') || iconName.includes('muted')) {
-      return true;
-    }
-    if (iconName.includes('micon') || iconName.includes('microphone')) {
-      return false;
-    }
-  }
-
-  return null;
-}
-
-function isInTeamsCall() {
-  // Check for call control bar
-  for (const selector of CALL_INDICATORS) {
-    const element = document.querySelector(selector);
-    if (element && isElementVisible(element)) {
-      return true;
-    }
-  }
-
-  // Check for mute button presence as a call indicator
-  return findMuteButton() !== null;
-}
-
-// ============================================================================
-// Mute Control
-// ============================================================================
-
 /**
- * Simulate Ctrl+Shift+M keyboard shortcut (Teams mute toggle)
- * This works even when the tab is not focused, unlike button.click()
+ * Button label, falling back to its title (classic Teams)
  */
-function simulateMuteShortcut() {
-  console.log('[MuteMe Teams] Simulating Ctrl+Shift+M shortcut');
-
-  // Ctrl+Shift+M is the Teams mute shortcut
-  const keydownEvent = new KeyboardEvent('keydown', {
-    key: 'm',
-    code: 'KeyM',
-    keyCode: 77,
-    which: 77,
-    ctrlKey: true,
-    shiftKey: true,
-    bubbles: true,
-    cancelable: true,
-  });
-
-  document.dispatchEvent(keydownEvent);
-
-  // Check state after a short delay
-  setTimeout(checkMuteState, 150);
-}
-
-function toggleMute() {
-  // Use keyboard shortcut (works even when tab not focused)
-  simulateMuteShortcut();
-}
-
-function setMute(shouldMute) {
-  const currentMuted = getMuteState();
-  console.log('[MuteMe Teams] setMute:', shouldMute, 'current:', currentMuted);
-
-  if (currentMuted === null) {
-    console.warn('[MuteMe Teams] Cannot determine current mute state, attempting toggle');
-    toggleMute();
-    return;
-  }
-
-  if (currentMuted !== shouldMute) {
-    toggleMute();
-  }
-}
-
-// ============================================================================
-// State Monitoring
-// ============================================================================
-function checkMuteState() {
-  const newMuted = getMuteState();
-
-  if (newMuted !== isMuted) {
-    isMuted = newMuted;
-    console.log('[MuteMe Teams] Mute state changed:', isMuted);
-
-    chrome.runtime.sendMessage({
-      type: MESSAGE.MUTE_STATE_CHANGED,
-      data: { isMuted: isMuted },
-    }).catch(e => console.warn('[MuteMe Teams] Failed to send mute state:', e));
-  }
-}
-
-function checkCallState() {
-  const newInCall = isInTeamsCall();
-
-  if (newInCall !== isInCall) {
-    isInCall = newInCall;
-    console.log('[MuteMe Teams] Call state changed:', isInCall);
-
-    if (isInCall) {
-      chrome.runtime.sendMessage({
-        type: MESSAGE.CALL_STARTED,
-        data: { platform: PLATFORM },
-      }).catch(e => console.warn('[MuteMe Teams] Failed to send call started:', e));
-
-      // Start mute state monitoring
-      startMuteMonitoring();
-    } else {
-      chrome.runtime.sendMessage({
-        type: MESSAGE.CALL_ENDED,
-        data: { platform: PLATFORM },
-      }).catch(e => console.warn('[MuteMe Teams] Failed to send call ended:', e));
-
-      // Stop mute monitoring
-      stopMuteMonitoring();
-    }
-  }
-}
-
-function startMuteMonitoring() {
-  if (muteCheckInterval) return;
-
-  // Check mute state every 500ms
-  muteCheckInterval = setInterval(checkMuteState, 500);
-  checkMuteState(); // Initial check
-}
-
-function stopMuteMonitoring() {
-  if (muteCheckInterval) {
-    clearInterval(muteCheckInterval);
-    muteCheckInterval = null;
-  }
-  isMuted = null;
-}
-
-// ============================================================================
-// Message Handling
-// ============================================================================
-function handleMessage(message, sender, sendResponse) {
-  switch (message.type) {
-    case MESSAGE.SET_MUTE:
-      setMute(message.data.mute);
-      break;
-
-    case MESSAGE.TOGGLE_MUTE:
-      toggleMute();
-      break;
-
-    case MESSAGE.GET_VISIBILITY:
-      // Return whether the tab is visible (not hidden)
-      sendResponse({ visible: document.visibilityState === 'visible' });
-      return true; // Keep channel open for async response
-  }
-}
-
-// ============================================================================
-// Initialization
-// ============================================================================
-function init() {
-  console.log('[MuteMe Teams] Content script loaded');
-
-  // Listen for messages from background
-  chrome.runtime.onMessage.addListener(handleMessage);
-
-  // Start monitoring for call state
-  _callCheckInterval = setInterval(checkCallState, 1000);
-
-  // Initial check with delay (Teams can be slow to load)
-  setTimeout(checkCallState, 2000);
-
-  // Also use MutationObserver for faster detection
-  const observer = new MutationObserver(() => {
-    checkCallState();
-    if (isInCall) {
-      checkMuteState();
-    }
-  });
-
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    attributeFilter: ['aria-pressed', 'aria-label', 'title', 'class'],
-  });
+function getTeamsLabel(button) {
+  const ariaLabel = (button.getAttribute('aria-label') || '').toLowerCase();
+  const title = (button.getAttribute('title') || '').toLowerCase();
+  return ariaLabel || title;
 }
 
-// Run when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
-} else {
-  init();
-}
+startController({
+  platform: 'teams',
+  name: 'Teams',
+
+  call: {
+    indicators: [
+      // New Teams (2024+)
+      '[data-cid="call-screen-wrapper"]',
+
+      // New Teams control bars
+      '[data-tid="calling-unified-bar"]',
+      '[data-tid="call-control-bar"]',
+
+      // Classic Teams
+      '[data-cid="calling-unified-bar"]',
+      '#calling-unified-bar',
+
+      ...TEAMS_LEAVE_BUTTON_SELECTORS,
+    ],
+  },
+
+  controls: {
+    mute: {
+      selectors: [
+        // New Teams (2024+) - primary selectors
+        '#mic-button',
+        '#microphone-button',
+
+        // New Teams data attributes
+        '[data-tid="call-control-microphone"]',
+        '[data-tid="toggle-mute"]',
+
+        // ID-based fallbacks
+        '[id*="mic"][role="button"]',
+        '[id*="microphone"][role="button"]',
+
+        // Aria-label based (localized - check multiple languages)
+        'button[aria-label*="microphone" i]',
+        'button[aria-label*="mikrofon" i]',
+        'button[aria-label*="wyciszenie" i]',
+        'button[aria-label*="mute" i]',
+        'button[aria-label*="unmute" i]',
+
+        // Classic Teams
+        'button[title*="microphone" i]',
+        '[data-cid="calling-control-bar-microphone"]',
+      ],
+      shortcut: { key: 'm', code: 'KeyM', keyCode: 77, ctrlKey: true, shiftKey: true },
+      read(button) {
+        // Check aria-pressed (common in new Teams)
+        const ariaPressed = button.getAttribute('aria-pressed');
+        if (ariaPressed !== null) {
+          return ariaPressed === 'true';
+        }
+
+        // Check aria-label for mute state indicators (multiple languages)
+        const label = getTeamsLabel(button);
+
+        // "Unmute" or "Turn on microphone" or Polish equivalents = currently muted
+        if (label.includes('unmute') ||
+            label.includes('turn on microphone') ||
+            label.includes('wyłącz wyciszenie') ||
+            label.includes('włącz mikrofon')) {
+          return true;
+        }
+        // "Mute" or "Turn off microphone" = currently unmuted
+        if (label.includes('mute') ||
+            label.includes('turn off microphone') ||
+            label.includes('wycisz') ||
+            label.includes('wyłącz mikrofon')) {
+          return false;
+        }
+
+        // Check for SVG icon with data-testid (new Teams 2024+)
+        const micOffIcon = button.querySelector('[data-testid*="mic-off"]');
+        if (micOffIcon) {
+          return true; // Mic off icon present = muted
+        }
+        const micOnIcon = button.querySelector('[data-testid*="mic-on"], [data-testid="ubar-mic-icon"]');
+        if (micOnIcon) {
+          return false; // Mic on icon = unmuted
+        }
+
+        // Check for muted class or icon
+        const classList = button.className.toLowerCase();
+        if (classList.includes('muted') || classList.includes('off')) {
+          return true;
+        }
+
+        // Check child elements for mute indicator (classic Teams)
+        const icon = button.querySelector('[data-icon-name]');
+        if (icon) {
+          const iconName = icon.getAttribute('data-icon-name')?.toLowerCase() || '';
+          if (iconName.includes('micoff') || iconName.includes('muted')) {
+            return true;
+          }
+          if (iconName.includes('micon') || iconName.includes('microphone')) {
+            return false;
+          }
+        }
+
+        return null;
+      },
+    },
+
+    camera: {
+      selectors: [
+        // New Teams (2024+)
+        '#video-button',
+        '[data-tid="toggle-video"]',
+        '[data-tid="call-control-camera"]',
+
+        // Aria-label based (localized)
+        'button[aria-label*="camera" i]',
+        'button[aria-label*="kamer" i]',
+
+        // Classic Teams
+        '[data-cid="calling-control-bar-video"]',
+      ],
+      shortcut: { key: 'o', code: 'KeyO', keyCode: 79, ctrlKey: true, shiftKey: true },
+      read(button) {
+        const label = getTeamsLabel(button);
+
+        // "Turn camera on" = camera is currently off
+        if (label.includes('turn camera on') ||
+            label.includes('turn on camera') ||
+            label.includes('włącz kamerę')) {
+          return false;
+        }
+        // "Turn camera off" = camera is currently on
+        if (label.includes('turn camera off') ||
+            label.includes('turn off camera') ||
+            label.includes('wyłącz kamerę')) {
+          return true;
+        }
+
+        // Icons (new Teams 2024+)
+        if (button.querySelector('[data-testid*="video-off"], [data-testid*="camera-off"]')) {
+          return false;
+        }
+        if (button.querySelector('[data-testid*="video-on"], [data-testid*="camera-on"]')) {
+          return true;
+        }
+
+        // Toggle buttons are pressed while the camera is on
+        const ariaPressed = button.getAttribute('aria-pressed');
+        if (ariaPressed !== null) {
+          return ariaPressed === 'true';
+        }
+
+        return null;
+      },
+    },
+
+    hand: {
+      selectors: [
+        // New Teams (2024+)
+        '#raisehands-button',
+        '[data-tid="raise-hand-button"]',
+        '[data-tid="call-control-raise-hand"]',
+
+        // Aria-label based (localized)
+        'button[aria-label*="Raise hand" i]',
+        'button[aria-label*="Lower hand" i]',
+        'button[aria-label*="rękę" i]',
+
+        // Classic Teams
+        '[data-cid="calling-control-bar-raise-hand"]',
+      ],
+      shortcut: { key: 'k', code: 'KeyK', keyCode: 75, ctrlKey: true, shiftKey: true },
+      read(button) {
+        // Toggle buttons are pressed while the hand is up
+        const ariaPressed = button.getAttribute('aria-pressed');
+        if (ariaPressed !== null) {
+          return ariaPressed === 'true';
+        }
+
+        const label = getTeamsLabel(button);
+
+        // "Lower hand" = hand is currently up
+        if (label.includes('lower hand') ||
+            label.includes('opuść rękę')) {
+          return true;
+        }
+        // "Raise hand" = hand is currently down
+        if (label.includes('raise hand') ||
+            label.includes('podnieś rękę')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    leave: {
+      selectors: TEAMS_LEAVE_BUTTON_SELECTORS,
+    },
+  },
+
+  observedAttributes: ['aria-pressed', 'aria-label', 'title', 'class'],
+
+  // Teams can be slow to load
+  initialCheckDelay: 2000,
+});
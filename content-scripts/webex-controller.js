@@ -0,0 +1,113 @@
+/**
+ * @filename webex-controller.js
+ * @description Webex web app adapter for the content-script runtime
+ *
+ * The Webex meeting client may run inside an iframe of the web app, so this
+ * adapter is injected into every frame (see manifest.json) and only the frame
+ * showing the meeting reports a call. The pre-join screen counts as a call in
+ * preview: its mic toggle decides whether you join muted, and the LED shows
+ * it before you join. Runs after controller-runtime.js.
+ */
+
+/* global startController */
+
+'use strict';
+
+const WEBEX_LEAVE_BUTTON_SELECTORS = [
+  'button[aria-label*="Leave meeting" i]',
+  'button[aria-label*="End meeting" i]',
+];
+
+// Participant rows have their own "Mute <name>" buttons; the roster is an
+// ARIA list, grid or tree, while the meeting control bar is not
+const WEBEX_NOT_IN_PARTICIPANT_LIST = ':not([role="list"] *, [role="grid"] *, [role="tree"] *)';
+
+startController({
+  platform: 'webex',
+  name: 'Webex',
+
+  call: {
+    indicators: WEBEX_LEAVE_BUTTON_SELECTORS,
+    previewIndicators: [
+      'button[aria-label*="Join meeting" i]',
+      'button[aria-label*="Start meeting" i]',
+    ],
+    // The web app shows mute controls for other participants too
+    indicatorsOnly: true,
+  },
+
+  controls: {
+    // "Mute all" (host) and participant list buttons are left out
+    mute: {
+      selectors: [
+        `button[aria-label^="Unmute" i]:not([aria-label*="all" i])${WEBEX_NOT_IN_PARTICIPANT_LIST}`,
+        `button[aria-label^="Mute" i]:not([aria-label*="all" i])${WEBEX_NOT_IN_PARTICIPANT_LIST}`,
+      ],
+      shortcut: { key: 'm', code: 'KeyM', keyCode: 77, ctrlKey: true },
+      read(button) {
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+
+        // "Unmute" = currently muted
+        if (label.startsWith('unmute')) {
+          return true;
+        }
+        // "Mute" = currently unmuted
+        if (label.startsWith('mute')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    camera: {
+      selectors: [
+        'button[aria-label^="Start video" i]',
+        'button[aria-label^="Stop video" i]',
+      ],
+      shortcut: { key: 'v', code: 'KeyV', keyCode: 86, ctrlKey: true, shiftKey: true },
+      read(button) {
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+
+        // "Stop video" = camera is on
+        if (label.startsWith('stop video')) {
+          return true;
+        }
+        // "Start video" = camera is off
+        if (label.startsWith('start video')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    // No default shortcut in the web app; toggled by clicking
+    hand: {
+      selectors: [
+        'button[aria-label*="Raise hand" i]',
+        'button[aria-label*="Lower hand" i]',
+      ],
+      read(button) {
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+
+        // "Lower hand" = hand is currently up
+        if (label.includes('lower hand')) {
+          return true;
+        }
+        // "Raise hand" = hand is currently down
+        if (label.includes('raise hand')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    leave: {
+      selectors: WEBEX_LEAVE_BUTTON_SELECTORS,
+    },
+  },
+
+  observedAttributes: ['aria-label', 'aria-pressed'],
+});
@@ -0,0 +1,91 @@
+/**
+ * @filename zoom-controller.js
+ * @description Zoom web client adapter for the content-script runtime
+ *
+ * Describes how to detect calls in the Zoom browser client (/wc/ pages) and
+ * read and change the mute and camera state. Runs after controller-runtime.js.
+ */
+
+/* global startController */
+
+'use strict';
+
+const ZOOM_LEAVE_BUTTON_SELECTORS = [
+  '.footer__leave-btn',
+  'button[aria-label="Leave" i]',
+  'button[aria-label*="Leave meeting" i]',
+  'button[aria-label*="End meeting" i]',
+];
+
+startController({
+  platform: 'zoom',
+  name: 'Zoom',
+
+  call: {
+    path: /^\/wc\//,
+    indicators: [
+      '#wc-footer',
+      '.footer__btns-container',
+      ...ZOOM_LEAVE_BUTTON_SELECTORS,
+    ],
+  },
+
+  controls: {
+    mute: {
+      // Reads "Join audio" until the computer audio is connected
+      selectors: [
+        '.join-audio-container__btn',
+        'button[aria-label*="mute my microphone" i]',
+        'button[aria-label*="unmute my microphone" i]',
+      ],
+      shortcut: { key: 'a', code: 'KeyA', keyCode: 65, altKey: true },
+      read(button) {
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+
+        // "Unmute my microphone" = currently muted
+        if (label.includes('unmute')) {
+          return true;
+        }
+        // "Mute my microphone" = currently unmuted
+        if (label.includes('mute')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    camera: {
+      selectors: [
+        '.send-video-container__btn',
+        'button[aria-label*="sending my video" i]',
+      ],
+      shortcut: { key: 'v', code: 'KeyV', keyCode: 86, altKey: true },
+      read(button) {
+        const label = (button.getAttribute('aria-label') || '').toLowerCase();
+
+        // "Stop sending my video" = camera is on
+        if (label.includes('stop sending')) {
+          return true;
+        }
+        // "Start sending my video" = camera is off
+        if (label.includes('start sending')) {
+          return false;
+        }
+
+        return null;
+      },
+    },
+
+    leave: {
+      selectors: ZOOM_LEAVE_BUTTON_SELECTORS,
+      // The leave button opens a menu with the actual "Leave Meeting" button
+      confirmSelectors: [
+        '.leave-meeting-options__btn',
+        'button[aria-label*="Leave meeting" i]',
+      ],
+    },
+  },
+
+  observedAttributes: ['aria-label', 'class'],
+});
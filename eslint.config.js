@@ -5,8 +5,8 @@ export default [
     ignores: ['node_modules/**'],
   },
   {
-    // Node.js scripts
-    files: ['scripts/**/*.js'],
+    // Node.js scripts and tests
+    files: ['scripts/**/*.js', 'test/**/*.js'],
     languageOptions: {
       ecmaVersion: 2022,
       sourceType: 'module',
@@ -23,7 +23,7 @@ export default [
   },
   {
     files: ['**/*.js'],
-    ignores: ['scripts/**/*.js'],
+    ignores: ['scripts/**/*.js', 'test/**/*.js'],
     languageOptions: {
       ecmaVersion: 2022,
       sourceType: 'module',
@@ -0,0 +1,299 @@
+/**
+ * @filename animation.js
+ * @description Declarative LED animations for MuteMe devices
+ *
+ * An animation is plain data: a list of keyframes ({ color, effect, duration })
+ * plus loop and priority settings. Reusable patterns (blink, alternate, Morse,
+ * countdown) build keyframe lists; LedAnimator plays them on the device,
+ * supports cancellation, and lets higher-priority animations or LED states
+ * interrupt lower-priority ones.
+ */
+
+import { LED_COLOR, LED_EFFECT, LED_PRESET } from './constants.js';
+
+// ============================================================================
+// Priorities
+// ============================================================================
+export const ANIMATION_PRIORITY = {
+  LOW: 1, // Cosmetic feedback, interrupted by any LED state change
+  STATE: 2, // Regular LED state (mute/unmute) - used by consumers, not animations
+  HIGH: 3, // Must stay visible over state changes (errors, countdowns)
+};
+
+const OFF = LED_PRESET.OFF;
+
+// ============================================================================
+// Patterns
+// ============================================================================
+
+/**
+ * Show a single LED state for a while.
+ *
+ * @param {Object} preset - { color, effect }
+ * @param {number} duration - Milliseconds
+ * @returns {Array<Object>} Keyframes
+ */
+export function hold(preset, duration) {
+  return [{ color: preset.color, effect: preset.effect, duration }];
+}
+
+/**
+ * Blink a color a number of times.
+ *
+ * @param {Object} preset - { color, effect } shown while on
+ * @param {number} times - Number of blinks
+ * @param {Object} timing - { on, off } durations in milliseconds
+ * @returns {Array<Object>} Keyframes
+ */
+export function blink(preset, times, { on = 150, off = 100 } = {}) {
+  const frames = [];
+  for (let i = 0; i < times; i++) {
+    frames.push(...hold(preset, on), ...hold(OFF, off));
+  }
+  return frames;
+}
+
+/**
+ * Alternate between two LED states.
+ *
+ * @param {Object} first - { color, effect }
+ * @param {Object} second - { color, effect }
+ * @param {number} times - Number of first/second pairs
+ * @param {number} duration - Milliseconds per state
+ * @returns {Array<Object>} Keyframes
+ */
+export function alternate(first, second, times, duration = 250) {
+  const frames = [];
+  for (let i = 0; i < times; i++) {
+    frames.push(...hold(first, duration), ...hold(second, duration));
+  }
+  return frames;
+}
+
+const MORSE_CODE = {
+  a: '.-', b: '-...', c: '-.-.', d: '-..', e: '.', f: '..-.', g: '--.',
+  h: '....', i: '..', j: '.---', k: '-.-', l: '.-..', m: '--', n: '-.',
+  o: '---', p: '.--.', q: '--.-', r: '.-.', s: '...', t: '-', u: '..-',
+  v: '...-', w: '.--', x: '-..-', y: '-.--', z: '--..',
+  0: '-----', 1: '.----', 2: '..---', 3: '...--', 4: '....-',
+  5: '.....', 6: '-....', 7: '--...', 8: '---..', 9: '----.',
+};
+
+/**
+ * Spell text in Morse code (dot = 1 unit, dash = 3, gaps of 1/3/7 units).
+ * Unknown characters are skipped.
+ *
+ * @param {string} text - Text to spell
+ * @param {Object} preset - { color, effect } shown for dots and dashes
+ * @param {number} unit - Milliseconds per unit
+ * @returns {Array<Object>} Keyframes
+ */
+export function morse(text, preset, unit = 120) {
+  const frames = [];
+  const words = text.toLowerCase().trim().split(/\s+/);
+
+  words.forEach((word, wordIndex) => {
+    const letters = [...word].filter(ch => MORSE_CODE[ch]);
+    letters.forEach((ch, letterIndex) => {
+      [...MORSE_CODE[ch]].forEach((symbol, symbolIndex) => {
+        if (symbolIndex > 0) frames.push(...hold(OFF, unit));
+        frames.push(...hold(preset, symbol === '-' ? unit * 3 : unit));
+      });
+      if (letterIndex < letters.length - 1) frames.push(...hold(OFF, unit * 3));
+    });
+    if (wordIndex < words.length - 1) frames.push(...hold(OFF, unit * 7));
+  });
+
+  return frames;
+}
+
+/**
+ * Countdown that gets more urgent: slow pulse, then fast pulse, then solid
+ * for the final stretch.
+ *
+ * @param {number} color - LED_COLOR value
+ * @param {number} duration - Total milliseconds
+ * @returns {Array<Object>} Keyframes
+ */
+export function countdown(color, duration) {
+  return [
+    { color, effect: LED_EFFECT.SLOW_PULSE, duration: Math.round(duration * 0.5) },
+    { color, effect: LED_EFFECT.FAST_PULSE, duration: Math.round(duration * 0.35) },
+    { color, effect: LED_EFFECT.SOLID, duration: Math.round(duration * 0.15) },
+  ];
+}
+
+// ============================================================================
+// Named Animations
+// ============================================================================
+export const ANIMATION = {
+  // Device connected: pulsing cyan, then two quick blinks
+  CONNECT: {
+    name: 'connect',
+    frames: [
+      ...hold(LED_PRESET.CONNECTING, 600),
+      ...blink({ color: LED_COLOR.CYAN, effect: LED_EFFECT.SOLID }, 2),
+    ],
+    priority: ANIMATION_PRIORITY.LOW,
+  },
+
+  // Something went wrong (e.g. a mute command failed)
+  ERROR: {
+    name: 'error',
+    frames: blink(LED_PRESET.ERROR, 3, { on: 200, off: 100 }),
+    priority: ANIMATION_PRIORITY.HIGH,
+  },
+
+  // Hold-to-confirm before leaving the call; cancelled on release
+  LEAVE_COUNTDOWN: {
+    name: 'leave-countdown',
+    frames: countdown(LED_COLOR.YELLOW, 2000),
+    priority: ANIMATION_PRIORITY.HIGH,
+  },
+
+  // Attention without changing the state (e.g. a call started elsewhere)
+  NOTIFY: {
+    name: 'notify',
+    frames: alternate(
+      { color: LED_COLOR.BLUE, effect: LED_EFFECT.SOLID },
+      { color: LED_COLOR.WHITE, effect: LED_EFFECT.SOLID },
+      2,
+      150,
+    ),
+    priority: ANIMATION_PRIORITY.LOW,
+  },
+};
+
+// ============================================================================
+// Player
+// ============================================================================
+class LedAnimator {
+  /**
+   * @param {Object} driver - Object with setLed(color, effect, deviceId)
+   */
+  constructor(driver) {
+    this.driver = driver;
+
+    // Running animations, keyed by device id (null = all devices)
+    this._runs = new Map();
+  }
+
+  /**
+   * Play an animation.
+   * Replaces a running animation of equal or lower priority on the same
+   * device; is ignored if a higher-priority one is running.
+   *
+   * @param {Object} animation - { frames, loop, priority }
+   *   loop: false (play once), true (until cancelled) or number of repeats
+   * @param {Object} options - { deviceId } (null = all devices)
+   * @returns {Object} Handle with cancel() and a finished promise that
+   *   resolves true if the animation ran to the end, false otherwise
+   */
+  play(animation, { deviceId = null } = {}) {
+    const priority = animation.priority ?? ANIMATION_PRIORITY.LOW;
+
+    if (this.getPriority(deviceId) > priority) {
+      return { cancel() {}, finished: Promise.resolve(false) };
+    }
+    this.cancel(deviceId);
+
+    const run = {
+      animation,
+      deviceId,
+      priority,
+      cancelled: false,
+      timer: null,
+      wake: null,
+    };
+    this._runs.set(deviceId, run);
+
+    const finished = this._run(run).then((completed) => {
+      if (this._runs.get(deviceId) === run) {
+        this._runs.delete(deviceId);
+      }
+      return completed;
+    });
+
+    const cancel = () => {
+      if (this._runs.get(deviceId) === run) {
+        this._runs.delete(deviceId);
+      }
+      this._cancelRun(run);
+    };
+
+    return { cancel, finished };
+  }
+
+  /**
+   * Stop the animation on a device.
+   *
+   * @param {string|null} deviceId - Device, or null for the all-devices animation
+   */
+  cancel(deviceId = null) {
+    const run = this._runs.get(deviceId);
+    if (run) {
+      this._cancelRun(run);
+      this._runs.delete(deviceId);
+    }
+  }
+
+  /**
+   * Stop every running animation.
+   */
+  cancelAll() {
+    for (const deviceId of [...this._runs.keys()]) {
+      this.cancel(deviceId);
+    }
+  }
+
+  /**
+   * Priority of the animation currently affecting a device, or 0.
+   *
+   * @param {string|null} deviceId - Device id
+   * @returns {number} Priority
+   */
+  getPriority(deviceId = null) {
+    const own = this._runs.get(deviceId)?.priority || 0;
+    const all = this._runs.get(null)?.priority || 0;
+    return Math.max(own, all);
+  }
+
+  isPlaying(deviceId = null) {
+    return this.getPriority(deviceId) > 0;
+  }
+
+  // =========================================================================
+  // Private Methods
+  // =========================================================================
+
+  async _run(run) {
+    const { frames, loop = false } = run.animation;
+    const repeats = loop === true ? Infinity : 1 + (Number(loop) || 0);
+
+    for (let i = 0; i < repeats; i++) {
+      for (const frame of frames) {
+        if (run.cancelled) return false;
+        this.driver.setLed(frame.color, frame.effect, run.deviceId);
+        await this._wait(run, frame.duration);
+      }
+    }
+    return !run.cancelled;
+  }
+
+  _wait(run, duration) {
+    return new Promise((resolve) => {
+      run.wake = resolve;
+      run.timer = setTimeout(resolve, duration);
+    });
+  }
+
+  _cancelRun(run) {
+    run.cancelled = true;
+    clearTimeout(run.timer);
+    if (run.wake) {
+      run.wake();
+    }
+  }
+}
+
+export { LedAnimator };
@@ -0,0 +1,222 @@
+/**
+ * @filename calls.js
+ * @description Registry of call tabs and the policy picking the controlled one
+ *
+ * Every tab that reports a call gets an entry with its platform, the frame
+ * the call runs in, and its last known mute/camera/hand state. The button
+ * controls one call at a time, chosen by CALL_POLICY:
+ * - RECENT:  the call that started last
+ * - FOCUSED: the call tab that was focused last
+ * - PINNED:  a call picked by the user
+ * When the policy has no candidate (nothing focused yet, pinned call gone),
+ * the most recent call is used.
+ *
+ * snapshot()/restore() let the registry outlive a service worker restart.
+ */
+
+import { CALL_POLICY } from './constants.js';
+
+class CallRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.policy - Value from CALL_POLICY
+   * @param {Function} options.onChange - Called after every change (not on restore)
+   */
+  constructor({ policy = CALL_POLICY.RECENT, onChange = null } = {}) {
+    this.calls = new Map(); // tabId -> call
+    this.policy = policy;
+    this.pinnedTabId = null;
+    this.onChange = onChange;
+
+    // Orders starts and focus changes that happen within the same millisecond
+    this._sequence = 0;
+  }
+
+  get size() {
+    return this.calls.size;
+  }
+
+  has(tabId) {
+    return this.calls.has(tabId);
+  }
+
+  get(tabId) {
+    return this.calls.get(tabId) || null;
+  }
+
+  /**
+   * Register a call. Repeated reports for a known tab keep its start order.
+   *
+   * @param {number} tabId - Tab hosting the call
+   * @param {string} platform - Value from PLATFORM
+   * @param {Object} details - Optional { title, frameId }
+   * @returns {Object} The call entry
+   */
+  add(tabId, platform, { title = null, frameId = 0 } = {}) {
+    const existing = this.calls.get(tabId);
+    if (existing) {
+      existing.platform = platform;
+      existing.title = title ?? existing.title;
+      existing.frameId = frameId;
+      this._changed();
+      return existing;
+    }
+
+    const call = {
+      tabId,
+      platform,
+      title,
+      frameId, // Frame running the call (0 = top frame)
+      isMuted: null,
+      isCameraOn: null,
+      isHandRaised: null,
+      isPreview: false, // On the pre-join screen
+      startedAt: Date.now(),
+      startOrder: ++this._sequence,
+      focusOrder: 0, // 0 = never focused
+    };
+    this.calls.set(tabId, call);
+    this._changed();
+    return call;
+  }
+
+  /**
+   * Forget a call.
+   *
+   * @param {number} tabId - Tab hosting the call
+   * @returns {boolean} True if the tab had a call
+   */
+  remove(tabId) {
+    if (this.pinnedTabId === tabId) {
+      this.pinnedTabId = null;
+    }
+    const removed = this.calls.delete(tabId);
+    if (removed) {
+      this._changed();
+    }
+    return removed;
+  }
+
+  /**
+   * Merge state reported by a call tab.
+   *
+   * @param {number} tabId - Tab hosting the call
+   * @param {Object} changes - Any of { isMuted, isCameraOn, isHandRaised, isPreview, title }
+   * @returns {Object|null} The updated call, or null for unknown tabs
+   */
+  update(tabId, changes) {
+    const call = this.calls.get(tabId);
+    if (!call) return null;
+
+    Object.assign(call, changes);
+    this._changed();
+    return call;
+  }
+
+  /**
+   * Record that a tab was focused; ignored for tabs without a call.
+   *
+   * @param {number} tabId - Focused tab
+   * @returns {boolean} True if the tab has a call
+   */
+  focus(tabId) {
+    const call = this.calls.get(tabId);
+    if (!call) return false;
+
+    call.focusOrder = ++this._sequence;
+    this._changed();
+    return true;
+  }
+
+  /**
+   * Change the policy; leaving PINNED drops the pin.
+   *
+   * @param {string} policy - Value from CALL_POLICY
+   */
+  setPolicy(policy) {
+    this.policy = policy;
+    if (policy !== CALL_POLICY.PINNED) {
+      this.pinnedTabId = null;
+    }
+    this._changed();
+  }
+
+  /**
+   * Control a specific call from now on (switches the policy to PINNED).
+   *
+   * @param {number} tabId - Tab hosting the call
+   * @returns {boolean} True if the tab has a call
+   */
+  pin(tabId) {
+    if (!this.calls.has(tabId)) return false;
+
+    this.policy = CALL_POLICY.PINNED;
+    this.pinnedTabId = tabId;
+    this._changed();
+    return true;
+  }
+
+  /**
+   * The call the button controls under the current policy.
+   *
+   * @returns {Object|null} Call entry, or null when there are no calls
+   */
+  getControlled() {
+    const calls = this.list();
+    if (calls.length === 0) return null;
+
+    if (this.policy === CALL_POLICY.PINNED && this.calls.has(this.pinnedTabId)) {
+      return this.calls.get(this.pinnedTabId);
+    }
+
+    if (this.policy === CALL_POLICY.FOCUSED) {
+      const focused = calls.reduce((best, call) => (call.focusOrder > best.focusOrder ? call : best));
+      if (focused.focusOrder > 0) {
+        return focused;
+      }
+    }
+
+    return calls[calls.length - 1];
+  }
+
+  /**
+   * All calls, oldest first.
+   *
+   * @returns {Array<Object>} Call entries
+   */
+  list() {
+    return [...this.calls.values()].sort((a, b) => a.startOrder - b.startOrder);
+  }
+
+  /**
+   * Serializable copy of the registry (the policy is stored separately).
+   *
+   * @returns {Object} { calls, pinnedTabId, sequence }
+   */
+  snapshot() {
+    return {
+      calls: this.list().map(call => ({ ...call })),
+      pinnedTabId: this.pinnedTabId,
+      sequence: this._sequence,
+    };
+  }
+
+  /**
+   * Replace the registry contents with a snapshot.
+   *
+   * @param {Object} snapshot - From snapshot()
+   */
+  restore(snapshot) {
+    this.calls = new Map((snapshot.calls || []).map(call => [call.tabId, { ...call }]));
+    this.pinnedTabId = this.policy === CALL_POLICY.PINNED ? snapshot.pinnedTabId ?? null : null;
+    this._sequence = snapshot.sequence || 0;
+  }
+
+  _changed() {
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+}
+
+export { CallRegistry };
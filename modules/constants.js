@@ -3,17 +3,110 @@
  * @description Constants for the MuteMe Chrome Extension
  */
 
+// ============================================================================
+// Input Report Layouts (where the touch event byte sits)
+// ============================================================================
+export const REPORT_LAYOUT = {
+  // 4th byte - what production devices deliver through WebHID
+  BYTE_3: { name: 'byte-3', touchByte: 3 },
+  // 1st byte - as documented in the MuteMe HID key
+  BYTE_0: { name: 'byte-0', touchByte: 0 },
+  // Unknown - detected from the first touch reports
+  AUTO: { name: 'auto', touchByte: null },
+};
+
+// ============================================================================
+// Device Capabilities
+// ============================================================================
+const CAPABILITIES_GEN0 = {
+  colors: true,
+  effects: true, // Dim and pulse effects
+  sleepMode: false, // Firmware may drop the LED state while sleeping
+};
+
+const CAPABILITIES_GEN1_PLUS = {
+  colors: true,
+  effects: true,
+  sleepMode: true, // Sleep modes since Batch 003
+};
+
+// ============================================================================
+// MuteMe Device Models (USB VID/PID registry)
+// ============================================================================
+export const MUTEME_MODELS = [
+  {
+    vendorId: 0x16c0, productId: 0x27db,
+    model: 'original', name: 'MuteMe Original (prototype)',
+    generation: 'Gen 0 (Prototype / Batch 000)',
+    reportLayout: REPORT_LAYOUT.AUTO,
+    capabilities: CAPABILITIES_GEN0,
+  },
+  {
+    vendorId: 0x20a0, productId: 0x42da,
+    model: 'original', name: 'MuteMe Original',
+    generation: 'Gen 1-3 (Batch 001-008)',
+    reportLayout: REPORT_LAYOUT.BYTE_3,
+    capabilities: CAPABILITIES_GEN1_PLUS,
+  },
+  {
+    vendorId: 0x20a0, productId: 0x42db,
+    model: 'mini', name: 'MuteMe Mini',
+    generation: 'Production',
+    reportLayout: REPORT_LAYOUT.BYTE_3,
+    capabilities: CAPABILITIES_GEN1_PLUS,
+  },
+  {
+    vendorId: 0x3603, productId: 0x0001,
+    model: 'original', name: 'MuteMe Original',
+    generation: 'Gen 3 (Batch 009+)',
+    reportLayout: REPORT_LAYOUT.AUTO,
+    capabilities: CAPABILITIES_GEN1_PLUS,
+  },
+  {
+    vendorId: 0x3603, productId: 0x0002,
+    model: 'mini-usb-c', name: 'MuteMe Mini USB-C',
+    generation: 'Gen 3 (Batch 009+)',
+    reportLayout: REPORT_LAYOUT.AUTO,
+    capabilities: CAPABILITIES_GEN1_PLUS,
+  },
+  {
+    vendorId: 0x3603, productId: 0x0003,
+    model: 'mini-usb-a', name: 'MuteMe Mini USB-A',
+    generation: 'Gen 3 (Batch 009+)',
+    reportLayout: REPORT_LAYOUT.AUTO,
+    capabilities: CAPABILITIES_GEN1_PLUS,
+  },
+  {
+    vendorId: 0x3603, productId: 0x0004,
+    model: 'mini', name: 'MuteMe Mini (Generic)',
+    generation: 'Gen 3 (Batch 009+)',
+    reportLayout: REPORT_LAYOUT.AUTO,
+    capabilities: CAPABILITIES_GEN1_PLUS,
+  },
+];
+
 // ============================================================================
 // MuteMe Device Filters (USB VID/PID pairs)
 // ============================================================================
-export const MUTEME_DEVICE_FILTERS = [
-  { vendorId: 0x16c0, productId: 0x27db }, // MuteMe Original (prototypes)
-  { vendorId: 0x20a0, productId: 0x42da }, // MuteMe Original (production)
-  { vendorId: 0x20a0, productId: 0x42db }, // MuteMe Mini (production)
-  { vendorId: 0x3603, productId: 0x0001 }, // MuteMe Original (Batch 009+)
-  { vendorId: 0x3603, productId: 0x0002 }, // MuteMe Mini USB-C
-  { vendorId: 0x3603, productId: 0x0003 }, // MuteMe Mini USB-A
-  { vendorId: 0x3603, productId: 0x0004 }, // MuteMe Mini (Generic)
+export const MUTEME_DEVICE_FILTERS = MUTEME_MODELS.map(({ vendorId, productId }) => ({
+  vendorId,
+  productId,
+}));
+
+// ============================================================================
+// Telephony Headsets (HID Telephony usage page)
+// ============================================================================
+// Extended usages are (usagePage << 16) | usageId, as reported by WebHID
+export const HID_USAGE = {
+  PHONE_MUTE: (0x0b << 16) | 0x2f, // Telephony: Phone Mute button
+  LED_MUTE: (0x08 << 16) | 0x09, // LED: Mute
+  LED_OFF_HOOK: (0x08 << 16) | 0x17, // LED: Off-Hook
+};
+
+// Top-level collections of telephony devices
+export const TELEPHONY_DEVICE_FILTERS = [
+  { usagePage: 0x0b, usage: 0x05 }, // Headset
+  { usagePage: 0x0b, usage: 0x01 }, // Phone
 ];
 
 // ============================================================================
@@ -50,13 +143,102 @@ export const TOUCH_EVENT = {
   START_TOUCH: 0x04,
 };
 
+// ============================================================================
+// Driver Events (subscribe with muteme.on/once)
+// ============================================================================
+export const MUTEME_EVENT = {
+  CONNECT: 'connect',
+  DISCONNECT: 'disconnect',
+  TOUCH_START: 'touch-start',
+  TOUCHING: 'touching',
+  TOUCH_END: 'touch-end',
+  GESTURE: 'gesture',
+  REPORT: 'report', // Every input report, decoded or not
+};
+
+// ============================================================================
+// Gestures (recognized from touch event timing)
+// ============================================================================
+export const GESTURE = {
+  TAP: 'tap',
+  DOUBLE_TAP: 'double-tap',
+  TRIPLE_TAP: 'triple-tap',
+  LONG_PRESS: 'long-press', // Fired once per tier while holding
+  TAP_HOLD: 'tap-hold', // Tap followed by a hold
+};
+
+export const GESTURE_DEFAULTS = {
+  tapMaxDuration: 500, // Touches shorter than this are taps
+  multiTapWindow: 300, // Max gap between taps of a multi-tap
+  maxTaps: 3, // Tap sequences are reported as soon as this count is reached
+  longPressTiers: [1000, 3000], // Hold durations that fire LONG_PRESS tiers
+};
+
+// ============================================================================
+// Gesture Actions (user-configurable gesture mapping)
+// ============================================================================
+export const ACTION = {
+  TOGGLE_MUTE: 'toggle-mute',
+  TOGGLE_CAMERA: 'toggle-camera',
+  RAISE_HAND: 'raise-hand',
+  FOCUS_TAB: 'focus-tab',
+  LEAVE_CALL: 'leave-call', // Hold slots only: confirmed by holding through a countdown
+  NONE: 'none',
+};
+
+// Mappable gestures; long-press tiers are mapped separately
+export const GESTURE_SLOT = {
+  TAP: GESTURE.TAP,
+  DOUBLE_TAP: GESTURE.DOUBLE_TAP,
+  TRIPLE_TAP: GESTURE.TRIPLE_TAP,
+  LONG_PRESS_1: `${GESTURE.LONG_PRESS}-1`,
+  LONG_PRESS_2: `${GESTURE.LONG_PRESS}-2`,
+  TAP_HOLD: GESTURE.TAP_HOLD,
+};
+
+// Slots that fire while the button is still held
+export const HOLD_GESTURE_SLOTS = [
+  GESTURE_SLOT.LONG_PRESS_1,
+  GESTURE_SLOT.LONG_PRESS_2,
+  GESTURE_SLOT.TAP_HOLD,
+];
+
+// Defaults keep the classic behavior: a tap toggles mute, nothing else
+export const DEFAULT_GESTURE_ACTIONS = {
+  [GESTURE_SLOT.TAP]: ACTION.TOGGLE_MUTE,
+  [GESTURE_SLOT.DOUBLE_TAP]: ACTION.NONE,
+  [GESTURE_SLOT.TRIPLE_TAP]: ACTION.NONE,
+  [GESTURE_SLOT.LONG_PRESS_1]: ACTION.NONE,
+  [GESTURE_SLOT.LONG_PRESS_2]: ACTION.NONE,
+  [GESTURE_SLOT.TAP_HOLD]: ACTION.NONE,
+};
+
 // ============================================================================
 // Touch Modes (user preference for touch behavior)
 // ============================================================================
 export const TOUCH_MODE = {
   TOGGLE: 'toggle', // Single tap to toggle mute
   PUSH_TO_TALK: 'push-to-talk', // Hold to unmute
-  SMART: 'smart', // Toggle on tap, push-to-talk when muted and holding
+  PUSH_TO_MUTE: 'push-to-mute', // Hold to mute
+  SMART: 'smart', // Toggle on tap; hold to talk when muted, hold to mute when live
+};
+
+// ============================================================================
+// Call Control Policy (which call the button controls)
+// ============================================================================
+export const CALL_POLICY = {
+  RECENT: 'recent', // The call that started last
+  FOCUSED: 'focused', // The call tab focused last
+  PINNED: 'pinned', // A call picked in the popup
+};
+
+// ============================================================================
+// Device Roles (what a given MuteMe button controls)
+// ============================================================================
+export const DEVICE_ROLE = {
+  MUTE_ACTIVE: 'mute-active', // Mute/unmute the active call
+  MUTE_ALL: 'mute-all', // Mute/unmute every tracked call
+  CAMERA: 'camera', // Toggle the camera in the active call
 };
 
 // ============================================================================
@@ -72,6 +254,7 @@ export const MESSAGE = {
   TOUCH_START: 'muteme:touch-start',
   TOUCH_END: 'muteme:touch-end',
   TOUCH_TAP: 'muteme:touch-tap',
+  GESTURE: 'muteme:gesture',
 
   // LED control
   SET_LED: 'muteme:set-led',
@@ -80,18 +263,38 @@ export const MESSAGE = {
   CALL_STARTED: 'muteme:call-started',
   CALL_ENDED: 'muteme:call-ended',
   MUTE_STATE_CHANGED: 'muteme:mute-state-changed',
+  CALL_HEARTBEAT: 'muteme:call-heartbeat',
+  REPORT_CALL_STATE: 'muteme:report-call-state',
 
   // Commands
   TOGGLE_MUTE: 'muteme:toggle-mute',
   SET_MUTE: 'muteme:set-mute',
   SET_TOUCH_MODE: 'muteme:set-touch-mode',
   SET_FOCUS_TAB: 'muteme:set-focus-tab',
+  SET_CAMERA_LED: 'muteme:set-camera-led',
+  SET_DEVICE_NAME: 'muteme:set-device-name',
+  SET_DEVICE_ROLE: 'muteme:set-device-role',
+  SET_GESTURE_ACTION: 'muteme:set-gesture-action',
+  SET_CALL_POLICY: 'muteme:set-call-policy',
+  SET_CONTROLLED_CALL: 'muteme:set-controlled-call',
+  ADD_JITSI_SERVER: 'muteme:add-jitsi-server',
+  REMOVE_JITSI_SERVER: 'muteme:remove-jitsi-server',
+  TOGGLE_CAMERA: 'muteme:toggle-camera',
+  TOGGLE_HAND: 'muteme:toggle-hand',
+  LEAVE_CALL: 'muteme:leave-call',
   FOCUS_MEETING_TAB: 'muteme:focus-meeting-tab',
   GET_VISIBILITY: 'muteme:get-visibility',
 
   // State requests
   GET_STATE: 'muteme:get-state',
   STATE_UPDATE: 'muteme:state-update',
+
+  // Virtual device (hardware-free testing)
+  VIRTUAL_DEVICE_ADD: 'muteme:virtual-device-add',
+  VIRTUAL_DEVICE_REMOVE: 'muteme:virtual-device-remove',
+  VIRTUAL_DEVICE_LIST: 'muteme:virtual-device-list',
+  VIRTUAL_TOUCH: 'muteme:virtual-touch',
+  VIRTUAL_LED: 'muteme:virtual-led',
 };
 
 // ============================================================================
@@ -100,6 +303,11 @@ export const MESSAGE = {
 export const PLATFORM = {
   GOOGLE_MEET: 'meet',
   MICROSOFT_TEAMS: 'teams',
+  ZOOM: 'zoom',
+  SLACK: 'slack',
+  DISCORD: 'discord',
+  WEBEX: 'webex',
+  JITSI: 'jitsi',
   UNKNOWN: 'unknown',
 };
 
@@ -111,6 +319,11 @@ export const DEFAULT_STATE = {
   activeCallTabId: null,
   isMuted: null,
   touchMode: TOUCH_MODE.TOGGLE,
+  devices: [],
+  headsetConnected: false,
+  headsetName: null,
+  calls: [],
+  callPolicy: CALL_POLICY.RECENT,
 };
 
 // ============================================================================
@@ -123,6 +336,12 @@ export const LED_PRESET = {
   MUTED_PTT_READY: { color: LED_COLOR.RED, effect: LED_EFFECT.SLOW_PULSE }, // Muted in smart/PTT mode
   UNMUTED: { color: LED_COLOR.GREEN, effect: LED_EFFECT.SOLID },
   PUSH_TO_TALK_ACTIVE: { color: LED_COLOR.GREEN, effect: LED_EFFECT.FAST_PULSE }, // Holding to talk
+  UNMUTED_PTM_READY: { color: LED_COLOR.GREEN, effect: LED_EFFECT.SLOW_PULSE }, // Live in push-to-mute mode
+  PUSH_TO_MUTE_ACTIVE: { color: LED_COLOR.RED, effect: LED_EFFECT.FAST_PULSE }, // Holding to mute
+  CAMERA_CONTROL: { color: LED_COLOR.BLUE, effect: LED_EFFECT.DIM }, // Camera-role device, camera state unknown
+  CAMERA_ON: { color: LED_COLOR.BLUE, effect: LED_EFFECT.SOLID }, // Camera-role device, camera on
+  CAMERA_OFF: { color: LED_COLOR.RED, effect: LED_EFFECT.DIM }, // Camera-role device, camera off
+  HAND_RAISED: { color: LED_COLOR.YELLOW, effect: LED_EFFECT.SLOW_PULSE }, // Hand raised in the call
   CONNECTING: { color: LED_COLOR.CYAN, effect: LED_EFFECT.FAST_PULSE }, // Connection animation
   ERROR: { color: LED_COLOR.YELLOW, effect: LED_EFFECT.FAST_PULSE },
 };
@@ -0,0 +1,146 @@
+/**
+ * @filename gestures.js
+ * @description Gesture recognition on top of raw MuteMe touch events
+ *
+ * Turns touch start/end into higher-level gestures:
+ * - Tap, double-tap, triple-tap (with a wait window so a single tap is only
+ *   reported once no further tap can follow)
+ * - Long-press, fired while holding when each configured tier is reached
+ * - Tap-then-hold, a tap followed by a press that turns into a hold
+ */
+
+import { GESTURE, GESTURE_DEFAULTS } from './constants.js';
+
+// Gesture reported for each tap count
+const TAP_GESTURES = [null, GESTURE.TAP, GESTURE.DOUBLE_TAP, GESTURE.TRIPLE_TAP];
+
+class GestureRecognizer {
+  /**
+   * @param {Object} config - Timing configuration (see GESTURE_DEFAULTS)
+   * @param {Function} onGesture - Called with { type, count, tier, duration }
+   */
+  constructor(config, onGesture) {
+    this.config = { ...GESTURE_DEFAULTS, ...config };
+    this.onGesture = onGesture;
+
+    this._tapCount = 0; // Taps completed in the current sequence
+    this._pressStart = null;
+    this._pressTaps = 0; // Taps that preceded the current press
+    this._holdRecognized = false;
+    this._waitTimer = null;
+    this._holdTimers = [];
+  }
+
+  /**
+   * Update the timing configuration.
+   *
+   * @param {Object} config - Partial configuration to merge
+   */
+  configure(config) {
+    this.config = { ...this.config, ...config };
+  }
+
+  /**
+   * Feed a touch start.
+   */
+  touchStart() {
+    this._clearWaitTimer();
+    this._clearHoldTimers();
+
+    this._pressStart = Date.now();
+    this._pressTaps = this._tapCount;
+    this._holdRecognized = false;
+
+    if (this._pressTaps > 0) {
+      // A tap followed by a hold
+      this._scheduleHold(this.config.tapMaxDuration, () => {
+        this._emit(GESTURE.TAP_HOLD, { count: this._pressTaps });
+      });
+    } else {
+      this.config.longPressTiers.forEach((threshold, index) => {
+        this._scheduleHold(threshold, () => {
+          this._emit(GESTURE.LONG_PRESS, { tier: index + 1 });
+        });
+      });
+    }
+  }
+
+  /**
+   * Feed a touch end.
+   */
+  touchEnd() {
+    if (this._pressStart === null) return;
+
+    const duration = Date.now() - this._pressStart;
+    const wasHold = this._holdRecognized || duration >= this.config.tapMaxDuration;
+    this._pressStart = null;
+    this._clearHoldTimers();
+
+    if (wasHold) {
+      // Holds end any tap sequence
+      this._tapCount = 0;
+      return;
+    }
+
+    this._tapCount++;
+
+    if (this._tapCount >= this.config.maxTaps) {
+      this._flushTaps();
+    } else {
+      this._waitTimer = setTimeout(() => this._flushTaps(), this.config.multiTapWindow);
+    }
+  }
+
+  /**
+   * Drop any in-progress gesture (e.g. on disconnect).
+   */
+  reset() {
+    this._clearWaitTimer();
+    this._clearHoldTimers();
+    this._tapCount = 0;
+    this._pressStart = null;
+    this._holdRecognized = false;
+  }
+
+  // =========================================================================
+  // Private Methods
+  // =========================================================================
+
+  _flushTaps() {
+    this._clearWaitTimer();
+    const count = Math.min(this._tapCount, TAP_GESTURES.length - 1);
+    this._tapCount = 0;
+    if (count > 0) {
+      this._emit(TAP_GESTURES[count], { count });
+    }
+  }
+
+  _scheduleHold(delay, fire) {
+    this._holdTimers.push(setTimeout(() => {
+      this._holdRecognized = true;
+      this._tapCount = 0;
+      fire();
+    }, delay));
+  }
+
+  _emit(type, details = {}) {
+    const duration = this._pressStart !== null ? Date.now() - this._pressStart : 0;
+    if (this.onGesture) {
+      this.onGesture({ type, count: 0, tier: 0, duration, ...details });
+    }
+  }
+
+  _clearWaitTimer() {
+    if (this._waitTimer) {
+      clearTimeout(this._waitTimer);
+      this._waitTimer = null;
+    }
+  }
+
+  _clearHoldTimers() {
+    this._holdTimers.forEach(timer => clearTimeout(timer));
+    this._holdTimers = [];
+  }
+}
+
+export { GestureRecognizer };
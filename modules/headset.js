@@ -0,0 +1,419 @@
+/**
+ * @filename headset.js
+ * @description Telephony headset adapter using WebHID API
+ *
+ * Device adapter for USB headsets that implement the HID Telephony usage
+ * page. It exposes the same kind of interface as the MuteMe driver
+ * (init/requestPermission/connect/sync/getStatus/destroy) and provides:
+ * - Phone Mute button presses, reported as a mute toggle
+ * - Mute (and Off-Hook) LED control mirroring the call state
+ *
+ * Report layouts differ between vendors, so fields are located by usage in
+ * the report descriptors WebHID exposes (device.collections).
+ */
+
+import { HID_USAGE, TELEPHONY_DEVICE_FILTERS } from './constants.js';
+
+function getHid() {
+  return globalThis.navigator?.hid || null;
+}
+
+/**
+ * Check whether a HID device exposes a telephony top-level collection.
+ *
+ * @param {HIDDevice} device - WebHID device
+ * @returns {boolean} True if the device looks like a telephony headset
+ */
+function isTelephonyDevice(device) {
+  return device.collections.some(collection =>
+    TELEPHONY_DEVICE_FILTERS.some(filter =>
+      collection.usagePage === filter.usagePage && collection.usage === filter.usage,
+    ),
+  );
+}
+
+/**
+ * Flatten the report items of a collection tree, grouped by report id.
+ * Items of a report are laid out in descriptor order; children follow the
+ * items of their parent.
+ *
+ * @param {Array<HIDCollectionInfo>} collections - Collections to walk
+ * @param {string} kind - 'inputReports' or 'outputReports'
+ * @returns {Map<number, Array<Object>>} Items per report id
+ */
+function collectReportItems(collections, kind) {
+  const reports = new Map();
+
+  const walk = (collection) => {
+    for (const report of collection[kind] || []) {
+      if (!reports.has(report.reportId)) {
+        reports.set(report.reportId, []);
+      }
+      reports.get(report.reportId).push(...(report.items || []));
+    }
+    (collection.children || []).forEach(walk);
+  };
+  collections.forEach(walk);
+
+  return reports;
+}
+
+/**
+ * Find the bit position of a usage within the reports of a device.
+ *
+ * @param {Map<number, Array<Object>>} reports - Items per report id
+ * @param {number} usage - Extended usage ((usagePage << 16) | usageId)
+ * @returns {Object|null} { reportId, bitOffset, bitSize, isAbsolute, reportBits }
+ */
+function findField(reports, usage) {
+  for (const [reportId, items] of reports) {
+    let offset = 0;
+    let found = null;
+
+    for (const item of items) {
+      const usages = item.isRange
+        ? Array.from({ length: item.usageMaximum - item.usageMinimum + 1 }, (_, i) => item.usageMinimum + i)
+        : item.usages || [];
+
+      for (let i = 0; i < item.reportCount; i++) {
+        // Variable items map one usage per field (the last one repeats)
+        const fieldUsage = usages[Math.min(i, usages.length - 1)];
+        if (!found && !item.isConstant && fieldUsage === usage) {
+          found = {
+            reportId,
+            bitOffset: offset + i * item.reportSize,
+            bitSize: item.reportSize,
+            isAbsolute: item.isAbsolute !== false,
+          };
+        }
+      }
+      offset += item.reportSize * item.reportCount;
+    }
+
+    if (found) {
+      return { ...found, reportBits: offset };
+    }
+  }
+  return null;
+}
+
+function readBits(data, bitOffset, bitSize) {
+  let value = 0;
+  for (let i = 0; i < bitSize; i++) {
+    const bit = bitOffset + i;
+    if (data[bit >> 3] & (1 << (bit & 7))) {
+      value |= 1 << i;
+    }
+  }
+  return value;
+}
+
+function writeBit(data, bitOffset, on) {
+  if (on) {
+    data[bitOffset >> 3] |= 1 << (bitOffset & 7);
+  } else {
+    data[bitOffset >> 3] &= ~(1 << (bitOffset & 7));
+  }
+}
+
+class HeadsetAdapter {
+  constructor() {
+    this.device = null;
+    this.isConnected = false;
+
+    // Located report fields (null if the headset lacks them)
+    this._muteButton = null;
+    this._muteLed = null;
+    this._offHookLed = null;
+    this._lastMuteValue = 0;
+
+    // Last requested call state, re-applied on reconnect
+    this._callState = { inCall: false, isMuted: false };
+
+    // Callbacks
+    this.onConnect = null;
+    this.onDisconnect = null;
+    this.onMuteToggle = null;
+
+    // Bind methods
+    this._handleDisconnect = this._handleDisconnect.bind(this);
+    this._handleInputReport = this._handleInputReport.bind(this);
+  }
+
+  /**
+   * Initialize the headset adapter.
+   *
+   * @param {Object} callbacks - Callback functions
+   * @param {Function} callbacks.onConnect - Called with device info when a headset connects
+   * @param {Function} callbacks.onDisconnect - Called when the headset disconnects
+   * @param {Function} callbacks.onMuteToggle - Called when the headset's mute button is pressed
+   */
+  async init(callbacks = {}) {
+    this.onConnect = callbacks.onConnect || null;
+    this.onDisconnect = callbacks.onDisconnect || null;
+    this.onMuteToggle = callbacks.onMuteToggle || null;
+
+    const hid = getHid();
+    if (hid) {
+      hid.addEventListener('disconnect', this._handleDisconnect);
+    }
+
+    console.log('[Headset] Initialized');
+  }
+
+  /**
+   * Request user permission to access a telephony headset.
+   * Must be called from a user gesture (click event).
+   *
+   * @returns {Promise<boolean>} True if permission granted and headset connected
+   */
+  async requestPermission() {
+    try {
+      const devices = await getHid().requestDevice({
+        filters: TELEPHONY_DEVICE_FILTERS,
+      });
+
+      if (devices.length > 0) {
+        console.log('[Headset] Permission granted for device:', devices[0].productName);
+        return this.connect();
+      }
+
+      console.log('[Headset] No device selected');
+      return false;
+    } catch (error) {
+      console.error('[Headset] Permission request failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check if a telephony headset is available (previously paired).
+   *
+   * @returns {Promise<boolean>} True if a headset is available
+   */
+  async isDeviceAvailable() {
+    return (await this._findDevice()) !== null;
+  }
+
+  /**
+   * Connect to a previously paired headset.
+   *
+   * @returns {Promise<boolean>} True if connection successful
+   */
+  async connect() {
+    if (this.isConnected && this.device) {
+      return true;
+    }
+
+    const device = await this._findDevice();
+    if (!device) {
+      return false;
+    }
+
+    try {
+      console.log('[Headset] Connecting to:', device.productName);
+      if (!device.opened) {
+        await device.open();
+      }
+
+      const inputs = collectReportItems(device.collections, 'inputReports');
+      const outputs = collectReportItems(device.collections, 'outputReports');
+      this._muteButton = findField(inputs, HID_USAGE.PHONE_MUTE);
+      this._muteLed = findField(outputs, HID_USAGE.LED_MUTE);
+      this._offHookLed = findField(outputs, HID_USAGE.LED_OFF_HOOK);
+      this._lastMuteValue = 0;
+
+      if (!this._muteButton) {
+        console.warn('[Headset] No Phone Mute control found, button presses will be ignored');
+      }
+
+      this.device = device;
+      this.device.addEventListener('inputreport', this._handleInputReport);
+      this.isConnected = true;
+      console.log('[Headset] Connected');
+
+      await this._sendLeds();
+
+      if (this.onConnect) {
+        this.onConnect(this.getStatus());
+      }
+      return true;
+    } catch (error) {
+      console.error('[Headset] Connection failed:', error.message);
+      this.device = null;
+      this.isConnected = false;
+      return false;
+    }
+  }
+
+  /**
+   * Reconcile the connection with what WebHID reports (for polling).
+   *
+   * @returns {Promise<boolean>} True if a headset is connected
+   */
+  async sync() {
+    if (this.isConnected && (!this.device.opened || !(await this._findDevice()))) {
+      this._handleDisconnect({ device: this.device });
+    }
+    if (!this.isConnected) {
+      return this.connect();
+    }
+    return true;
+  }
+
+  /**
+   * Disconnect from the headset.
+   */
+  async disconnect() {
+    if (!this.device) {
+      return;
+    }
+
+    try {
+      this.device.removeEventListener('inputreport', this._handleInputReport);
+      if (this.device.opened) {
+        await this.device.close();
+      }
+    } catch (error) {
+      console.error('[Headset] Disconnect error:', error);
+    }
+
+    this.device = null;
+    this.isConnected = false;
+    console.log('[Headset] Disconnected');
+  }
+
+  /**
+   * Mirror the call state on the headset LEDs.
+   * The Off-Hook LED is lit during a call, as many headsets only show the
+   * mute LED while off-hook.
+   *
+   * @param {Object} callState - { inCall, isMuted }
+   * @returns {Promise<boolean>} True if the LEDs were updated
+   */
+  async setCallState({ inCall, isMuted }) {
+    const changed = inCall !== this._callState.inCall || isMuted !== this._callState.isMuted;
+    this._callState = { inCall, isMuted };
+
+    if (!changed || !this.isConnected) {
+      return false;
+    }
+    return this._sendLeds();
+  }
+
+  /**
+   * Get current connection status.
+   *
+   * @returns {Object} Status object with isConnected, deviceName and supported controls
+   */
+  getStatus() {
+    return {
+      isConnected: this.isConnected,
+      deviceName: this.device?.productName || null,
+      hasMuteButton: !!this._muteButton,
+      hasMuteLed: !!this._muteLed,
+    };
+  }
+
+  /**
+   * Clean up event listeners.
+   */
+  destroy() {
+    const hid = getHid();
+    if (hid) {
+      hid.removeEventListener('disconnect', this._handleDisconnect);
+    }
+    this.disconnect();
+    console.log('[Headset] Destroyed');
+  }
+
+  // =========================================================================
+  // Private Methods
+  // =========================================================================
+
+  async _findDevice() {
+    const hid = getHid();
+    if (!hid) return null;
+
+    const devices = await hid.getDevices();
+    return devices.find(isTelephonyDevice) || null;
+  }
+
+  /**
+   * Write the LED output report(s). LED fields in the same report are
+   * combined into a single write.
+   */
+  async _sendLeds() {
+    const fields = [
+      [this._offHookLed, this._callState.inCall],
+      [this._muteLed, this._callState.inCall && this._callState.isMuted],
+    ].filter(([field]) => field);
+
+    const reports = new Map();
+    for (const [field, on] of fields) {
+      if (!reports.has(field.reportId)) {
+        reports.set(field.reportId, new Uint8Array(Math.ceil(field.reportBits / 8)));
+      }
+      writeBit(reports.get(field.reportId), field.bitOffset, on);
+    }
+
+    try {
+      for (const [reportId, data] of reports) {
+        await this.device.sendReport(reportId, data);
+      }
+      return reports.size > 0;
+    } catch (error) {
+      console.error('[Headset] Failed to set LEDs:', error);
+      return false;
+    }
+  }
+
+  _handleDisconnect(event) {
+    if (!this.device || event.device !== this.device) {
+      return;
+    }
+
+    console.log('[Headset] Device unplugged');
+    try {
+      this.device.removeEventListener('inputreport', this._handleInputReport);
+    } catch (e) {
+      // Device already gone
+    }
+
+    this.device = null;
+    this.isConnected = false;
+
+    if (this.onDisconnect) {
+      this.onDisconnect();
+    }
+  }
+
+  _handleInputReport(event) {
+    const field = this._muteButton;
+    if (!field || event.reportId !== field.reportId) {
+      return;
+    }
+
+    const data = new Uint8Array(event.data.buffer);
+    const value = readBits(data, field.bitOffset, field.bitSize);
+
+    // Relative controls report each press; absolute ones are pressed on the
+    // rising edge
+    const pressed = field.isAbsolute ? value && !this._lastMuteValue : value !== 0;
+    this._lastMuteValue = value;
+
+    if (pressed) {
+      console.log('[Headset] Mute button pressed');
+      if (this.onMuteToggle) {
+        this.onMuteToggle();
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const headset = new HeadsetAdapter();
+export default headset;
+
+// Also export the class for testing
+export { HeadsetAdapter };
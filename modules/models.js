@@ -0,0 +1,89 @@
+/**
+ * @filename models.js
+ * @description MuteMe model lookup and per-model input report decoding
+ *
+ * Models are registered in MUTEME_MODELS (constants.js) by VID/PID. Each model
+ * names the byte that carries the touch event; models with an unknown layout
+ * have it detected from the first touch reports.
+ */
+
+import { MUTEME_MODELS, REPORT_LAYOUT, TOUCH_EVENT } from './constants.js';
+
+// Non-idle touch events; one of these in a report reveals the layout
+const ACTIVE_TOUCH_EVENTS = [
+  TOUCH_EVENT.TOUCHING,
+  TOUCH_EVENT.END_TOUCH,
+  TOUCH_EVENT.START_TOUCH,
+];
+
+/**
+ * Look up the registry entry for a device.
+ *
+ * @param {number} vendorId - USB vendor id
+ * @param {number} productId - USB product id
+ * @returns {Object|null} Model entry from MUTEME_MODELS, or null if unknown
+ */
+export function getModel(vendorId, productId) {
+  return MUTEME_MODELS.find(model =>
+    model.vendorId === vendorId && model.productId === productId,
+  ) || null;
+}
+
+/**
+ * Decodes touch events from a device's input reports.
+ */
+class ReportDecoder {
+  /**
+   * @param {Object} layout - Descriptor from REPORT_LAYOUT
+   */
+  constructor(layout = REPORT_LAYOUT.AUTO) {
+    this.layout = layout;
+    this.detected = false;
+  }
+
+  /**
+   * Name of the layout in use ('auto' until detected).
+   */
+  get layoutName() {
+    return this.layout.name;
+  }
+
+  /**
+   * Extract the touch event from a report.
+   *
+   * @param {Uint8Array} data - Raw report bytes
+   * @returns {number|null} TOUCH_EVENT value, or null if undecodable
+   */
+  decode(data) {
+    if (this.layout.touchByte === null) {
+      this._detect(data);
+    }
+
+    if (this.layout.touchByte !== null) {
+      return data.length > this.layout.touchByte ? data[this.layout.touchByte] : null;
+    }
+
+    // Still undetected: an all-zero report is a CLEAR in any layout
+    return data.every(byte => byte === 0) ? TOUCH_EVENT.CLEAR : null;
+  }
+
+  _detect(data) {
+    const candidates = [];
+    data.forEach((byte, index) => {
+      if (byte !== 0) candidates.push(index);
+    });
+
+    // Only trust reports with exactly one active touch byte
+    if (candidates.length !== 1 || !ACTIVE_TOUCH_EVENTS.includes(data[candidates[0]])) {
+      return;
+    }
+
+    const touchByte = candidates[0];
+    this.layout = Object.values(REPORT_LAYOUT).find(l => l.touchByte === touchByte) ||
+      { name: `byte-${touchByte}`, touchByte };
+    this.detected = true;
+    console.log(`[MuteMe] Detected report layout: ${this.layout.name}`);
+  }
+}
+
+export { ReportDecoder };
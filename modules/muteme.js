@@ -3,9 +3,14 @@
  * @description MuteMe device driver using WebHID API
  *
  * Provides methods for:
- * - Device connection/disconnection
- * - LED color and effect control
- * - Touch event handling
+ * - Device connection/disconnection (several devices at once)
+ * - LED color and effect control (per device, through a serialized write
+ *   queue that coalesces superseded states and periodically re-asserts the
+ *   desired state)
+ * - Touch event handling (tagged with the originating device)
+ * - Event subscriptions for any number of consumers (on/off/once)
+ * - Gesture recognition (multi-tap, long-press, tap-then-hold)
+ * - Model identification and per-model input report decoding
  */
 
 import {
@@ -13,58 +18,219 @@ import {
   LED_COLOR,
   LED_EFFECT,
   TOUCH_EVENT,
+  GESTURE_DEFAULTS,
+  MUTEME_EVENT,
 } from './constants.js';
+import { GestureRecognizer } from './gestures.js';
+import { getModel, ReportDecoder } from './models.js';
+
+// How often the desired LED state is re-sent (devices from Batch 003 on have
+// sleep modes that can drop it)
+const LED_REFRESH_INTERVAL_MS = 10000;
+
+/**
+ * Check whether a HID device is one of the known MuteMe models.
+ *
+ * @param {HIDDevice} device - WebHID device
+ * @returns {boolean} True if the VID/PID pair matches a MuteMe filter
+ */
+function isMuteMeDevice(device) {
+  return MUTEME_DEVICE_FILTERS.some(filter =>
+    device.vendorId === filter.vendorId &&
+    device.productId === filter.productId,
+  );
+}
+
+/**
+ * WebHID entry point, or null where WebHID is unavailable (e.g. when only
+ * virtual devices are used outside the browser).
+ */
+function getHid() {
+  return globalThis.navigator?.hid || null;
+}
+
+/**
+ * Payload passed to driver event listeners.
+ *
+ * @typedef {Object} MuteMeEvent
+ * @property {string} deviceId - Stable id of the originating device
+ * @property {Object} device - Device description (see getDevices())
+ * @property {number} timestamp - Time the event was produced (ms since epoch)
+ * @property {Uint8Array|null} report - Raw input report behind the event, if any
+ *
+ * Events add their own fields:
+ * - TOUCH_END: duration, isTap
+ * - GESTURE: type, count, tier, duration
+ * - REPORT: touchEvent (decoded TOUCH_EVENT, or null)
+ */
+
+// init() callback for each event
+const INIT_CALLBACKS = {
+  onConnect: MUTEME_EVENT.CONNECT,
+  onDisconnect: MUTEME_EVENT.DISCONNECT,
+  onTouchStart: MUTEME_EVENT.TOUCH_START,
+  onTouching: MUTEME_EVENT.TOUCHING,
+  onTouchEnd: MUTEME_EVENT.TOUCH_END,
+  onGesture: MUTEME_EVENT.GESTURE,
+};
+
+function toHex(value) {
+  return value.toString(16).padStart(4, '0');
+}
 
 class MuteMe {
   constructor() {
-    this.device = null;
-    this.isConnected = false;
+    // Open devices, keyed by stable device id
+    this.devices = new Map();
+
+    // User-assigned names, keyed by device id (kept even while unplugged)
+    this.deviceNames = {};
+
+    // Software devices (see virtualDevice.js), treated like paired hardware
+    this.virtualDevices = [];
+
+    // Gesture timing, shared by all devices
+    this.gestureConfig = { ...GESTURE_DEFAULTS };
+
+    // Desired LED state per device id, kept across reconnects so a
+    // replugged or reset device gets its state back
+    this._desiredLeds = new Map();
+    this._ledRefreshTimer = null;
 
-    // Callbacks
-    this.onConnect = null;
-    this.onDisconnect = null;
-    this.onTouchStart = null;
-    this.onTouchEnd = null;
-    this.onTouching = null;
+    // Event listeners, keyed by MUTEME_EVENT
+    this._listeners = new Map();
+
+    // Unsubscribe functions for the callbacks passed to init()
+    this._initSubscriptions = [];
 
     // Bind methods
     this._handleConnect = this._handleConnect.bind(this);
     this._handleDisconnect = this._handleDisconnect.bind(this);
     this._handleInputReport = this._handleInputReport.bind(this);
+  }
+
+  /**
+   * True if at least one MuteMe device is open.
+   */
+  get isConnected() {
+    return this.devices.size > 0;
+  }
 
-    // Track touch state for tap detection
-    this._isTouching = false;
-    this._touchStartTime = null;
+  /**
+   * First connected HID device (kept for single-device consumers).
+   */
+  get device() {
+    const first = this.devices.values().next().value;
+    return first ? first.hidDevice : null;
   }
 
   /**
    * Initialize the MuteMe driver.
    * Sets up HID event listeners for device connect/disconnect.
    *
+   * All callbacks receive the originating device id, so consumers can tell
+   * several buttons apart. The callbacks are registered as event listeners
+   * (see on()); calling init() again replaces them. Connect/disconnect
+   * callbacks receive the device description, the others the full event.
+   *
    * @param {Object} callbacks - Callback functions
-   * @param {Function} callbacks.onConnect - Called when device connects
-   * @param {Function} callbacks.onDisconnect - Called when device disconnects
-   * @param {Function} callbacks.onTouchStart - Called when touch begins
-   * @param {Function} callbacks.onTouchEnd - Called when touch ends (includes tap detection)
-   * @param {Function} callbacks.onTouching - Called repeatedly while touching
+   * @param {Function} callbacks.onConnect - Called with device info when a device connects
+   * @param {Function} callbacks.onDisconnect - Called with device info when a device disconnects
+   * @param {Function} callbacks.onTouchStart - Called with { deviceId } when touch begins
+   * @param {Function} callbacks.onTouchEnd - Called with { deviceId, duration, isTap } when touch ends
+   * @param {Function} callbacks.onTouching - Called with { deviceId } repeatedly while touching
+   * @param {Function} callbacks.onGesture - Called with { deviceId, type, count, tier, duration }
+   *   for recognized gestures (see GESTURE)
    */
   async init(callbacks = {}) {
-    this.onConnect = callbacks.onConnect || null;
-    this.onDisconnect = callbacks.onDisconnect || null;
-    this.onTouchStart = callbacks.onTouchStart || null;
-    this.onTouchEnd = callbacks.onTouchEnd || null;
-    this.onTouching = callbacks.onTouching || null;
+    this._initSubscriptions.forEach(unsubscribe => unsubscribe());
+    this._initSubscriptions = Object.entries(INIT_CALLBACKS)
+      .filter(([name]) => callbacks[name])
+      .map(([name, type]) => {
+        const isDeviceEvent = type === MUTEME_EVENT.CONNECT || type === MUTEME_EVENT.DISCONNECT;
+        return this.on(type, event => callbacks[name](isDeviceEvent ? event.device : event));
+      });
+
+    // Don't register HID listeners twice on re-init
+    this._removeHidListeners();
+
+    // Listen for device connect/disconnect events (WebHID may be missing
+    // when running with virtual devices only)
+    const hid = getHid();
+    if (hid) {
+      hid.addEventListener('connect', this._handleConnect);
+      hid.addEventListener('disconnect', this._handleDisconnect);
+    }
 
-    // Listen for device connect/disconnect events
-    navigator.hid.addEventListener('connect', this._handleConnect);
-    navigator.hid.addEventListener('disconnect', this._handleDisconnect);
+    this.setLedRefreshInterval(LED_REFRESH_INTERVAL_MS);
 
     console.log('[MuteMe] Initialized');
   }
 
+  // =========================================================================
+  // Events
+  // =========================================================================
+
   /**
-   * Request user permission to access a MuteMe device.
+   * Subscribe to a driver event.
+   *
+   * @param {string} type - Event from MUTEME_EVENT
+   * @param {Function} listener - Called with a MuteMeEvent payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, listener) {
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, new Set());
+    }
+    this._listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Unsubscribe from a driver event.
+   *
+   * @param {string} type - Event from MUTEME_EVENT
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(type, listener) {
+    this._listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * Wait for the next occurrence of an event.
+   *
+   * @param {string} type - Event from MUTEME_EVENT
+   * @param {Object} options - Optional filters
+   * @param {string} options.deviceId - Only accept events from this device
+   * @param {Function} options.filter - Only accept events it returns true for
+   * @param {number} options.timeout - Reject after this many milliseconds
+   * @returns {Promise<MuteMeEvent>} Resolves with the event payload
+   */
+  once(type, { deviceId = null, filter = null, timeout = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const unsubscribe = this.on(type, (event) => {
+        if (deviceId !== null && event.deviceId !== deviceId) return;
+        if (filter && !filter(event)) return;
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(event);
+      });
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          unsubscribe();
+          reject(new Error(`Timed out waiting for MuteMe event: ${type}`));
+        }, timeout);
+      }
+    });
+  }
+
+  /**
+   * Request user permission to access MuteMe devices.
    * Must be called from a user gesture (click event).
+   * The chooser allows selecting several devices at once.
    *
    * @returns {Promise<boolean>} True if permission granted and device found
    */
@@ -75,7 +241,7 @@ class MuteMe {
       });
 
       if (devices.length > 0) {
-        console.log('[MuteMe] Permission granted for device:', devices[0].productName);
+        console.log('[MuteMe] Permission granted for:', devices.map(d => d.productName).join(', '));
         await this.connect();
         return true;
       }
@@ -91,109 +257,142 @@ class MuteMe {
   /**
    * Check if a MuteMe device is available (previously paired).
    *
-   * @returns {Promise<boolean>} True if device is available
+   * @returns {Promise<boolean>} True if at least one device is available
    */
   async isDeviceAvailable() {
-    const devices = await navigator.hid.getDevices();
-    return devices.some(device =>
-      MUTEME_DEVICE_FILTERS.some(filter =>
-        device.vendorId === filter.vendorId &&
-        device.productId === filter.productId,
-      ),
-    );
+    const devices = await this._getAvailableDevices();
+    return devices.length > 0;
   }
 
   /**
-   * Connect to a previously paired MuteMe device.
+   * Connect to all previously paired MuteMe devices that are not open yet.
    *
-   * @returns {Promise<boolean>} True if connection successful
+   * @returns {Promise<boolean>} True if at least one device is connected
    */
   async connect() {
-    if (this.isConnected && this.device) {
-      return true;
-    }
+    const devices = await this._getAvailableDevices();
 
-    try {
-      const devices = await navigator.hid.getDevices();
-      const muteMe = devices.find(device =>
-        MUTEME_DEVICE_FILTERS.some(filter =>
-          device.vendorId === filter.vendorId &&
-          device.productId === filter.productId,
-        ),
-      );
-
-      if (!muteMe) {
-        return false;
+    for (const hidDevice of devices) {
+      if (this._findEntry(hidDevice)) {
+        continue;
       }
+      await this._openDevice(hidDevice);
+    }
 
-      console.log('[MuteMe] Connecting to:', muteMe.productName);
-      this.device = muteMe;
-
-      if (!this.device.opened) {
-        await this.device.open();
-      }
+    return this.isConnected;
+  }
 
-      this.device.addEventListener('inputreport', this._handleInputReport);
-      this.isConnected = true;
-      console.log('[MuteMe] Connected');
+  /**
+   * Reconcile open devices with what WebHID currently reports.
+   * Drops devices that vanished or were closed behind our back and connects
+   * newly available ones. Used for polling, as HID events are unreliable in
+   * service workers.
+   *
+   * @returns {Promise<boolean>} True if at least one device is connected
+   */
+  async sync() {
+    const available = await this._getAvailableDevices();
 
-      if (this.onConnect) {
-        this.onConnect(this.device);
+    for (const entry of [...this.devices.values()]) {
+      if (!available.includes(entry.hidDevice) || !entry.hidDevice.opened) {
+        console.log('[MuteMe] Device no longer available:', entry.id);
+        this._removeEntry(entry);
       }
-
-      return true;
-    } catch (error) {
-      console.error('[MuteMe] Connection failed:', error.message);
-      this.device = null;
-      this.isConnected = false;
-      return false;
     }
+
+    return this.connect();
   }
 
   /**
-   * Disconnect from the MuteMe device.
+   * Disconnect from MuteMe devices.
+   *
+   * @param {string|null} deviceId - Device to disconnect, or null for all
    */
-  async disconnect() {
-    if (!this.device) {
-      return;
-    }
+  async disconnect(deviceId = null) {
+    const entries = deviceId === null
+      ? [...this.devices.values()]
+      : [this.devices.get(deviceId)].filter(Boolean);
 
-    try {
-      this.device.removeEventListener('inputreport', this._handleInputReport);
+    for (const entry of entries) {
+      try {
+        entry.hidDevice.removeEventListener('inputreport', this._handleInputReport);
 
-      if (this.device.opened) {
-        await this.device.close();
+        if (entry.hidDevice.opened) {
+          await entry.hidDevice.close();
+        }
+      } catch (error) {
+        console.error('[MuteMe] Disconnect error:', error);
       }
-    } catch (error) {
-      console.error('[MuteMe] Disconnect error:', error);
-    }
 
-    this.device = null;
-    this.isConnected = false;
-    console.log('[MuteMe] Disconnected');
+      entry.gestures.reset();
+      this.devices.delete(entry.id);
+      console.log('[MuteMe] Disconnected:', entry.id);
+    }
   }
 
   /**
    * Set the LED color and effect.
    *
+   * Writes are queued per device: reports never interleave, and states set
+   * while a write is in flight replace each other so only the latest is sent.
+   * Callers may fire-and-forget; the order of calls decides the final state.
+   *
    * @param {number} color - LED color from LED_COLOR constants
    * @param {number} effect - LED effect from LED_EFFECT constants
-   * @returns {Promise<boolean>} True if command sent successfully
+   * @param {string|null} deviceId - Target device, or null for all devices
+   * @returns {Promise<boolean>} True once the latest state was written to every target
    */
-  async setLed(color = LED_COLOR.OFF, effect = LED_EFFECT.SOLID) {
-    if (!this.isConnected || !this.device) {
+  async setLed(color = LED_COLOR.OFF, effect = LED_EFFECT.SOLID, deviceId = null) {
+    const entries = deviceId === null
+      ? [...this.devices.values()]
+      : [this.devices.get(deviceId)].filter(Boolean);
+
+    if (entries.length === 0) {
       console.warn('[MuteMe] Cannot set LED: not connected');
       return false;
     }
 
-    try {
-      const value = color + effect;
-      await this.device.sendReport(0, new Uint8Array([value]));
-      console.log(`[MuteMe] LED set to: 0x${value.toString(16)}`);
-      return true;
-    } catch (error) {
-      console.error('[MuteMe] Failed to set LED:', error);
-      return false;
+    // Record the desired state synchronously so call order is preserved
+    for (const entry of entries) {
+      entry.led = { color, effect };
+      this._desiredLeds.set(entry.id, entry.led);
+      entry.pendingLed = { value: color + effect, force: false };
+    }
+
+    const results = await Promise.all(entries.map(entry => this._flushLed(entry)));
+    return results.every(Boolean);
+  }
+
+  /**
+   * Re-send the desired LED state to every device, even if unchanged.
+   * Recovers devices whose firmware reset or went to sleep.
+   *
+   * @returns {Promise<boolean>} True if every write succeeded
+   */
+  async refreshLeds() {
+    const entries = [...this.devices.values()];
+    for (const entry of entries) {
+      if (!entry.pendingLed) {
+        entry.pendingLed = { value: entry.led.color + entry.led.effect, force: true };
+      }
+    }
+
+    const results = await Promise.all(entries.map(entry => this._flushLed(entry)));
+    return results.every(Boolean);
+  }
+
+  /**
+   * Set how often the desired LED state is re-asserted.
+   *
+   * @param {number} intervalMs - Refresh interval, or 0 to disable
+   */
+  setLedRefreshInterval(intervalMs) {
+    if (this._ledRefreshTimer) {
+      clearInterval(this._ledRefreshTimer);
+      this._ledRefreshTimer = null;
+    }
+    if (intervalMs > 0) {
+      this._ledRefreshTimer = setInterval(() => this.refreshLeds(), intervalMs);
     }
   }
 
@@ -201,32 +400,110 @@ class MuteMe {
    * Convenience method to set LED using a preset.
    *
    * @param {Object} preset - Preset object with color and effect
+   * @param {string|null} deviceId - Target device, or null for all devices
    * @returns {Promise<boolean>} True if command sent successfully
    */
-  async setLedPreset(preset) {
-    return this.setLed(preset.color, preset.effect);
+  async setLedPreset(preset, deviceId = null) {
+    return this.setLed(preset.color, preset.effect, deviceId);
   }
 
   /**
    * Turn off the LED.
    *
+   * @param {string|null} deviceId - Target device, or null for all devices
    * @returns {Promise<boolean>} True if command sent successfully
    */
-  async ledOff() {
-    return this.setLed(LED_COLOR.OFF, LED_EFFECT.SOLID);
+  async ledOff(deviceId = null) {
+    return this.setLed(LED_COLOR.OFF, LED_EFFECT.SOLID, deviceId);
+  }
+
+  /**
+   * Register a virtual device and connect to it.
+   *
+   * @param {VirtualMuteMeDevice} device - Virtual device to add
+   * @returns {Promise<boolean>} True if the device was connected
+   */
+  async addVirtualDevice(device) {
+    if (!this.virtualDevices.includes(device)) {
+      this.virtualDevices.push(device);
+    }
+    await this.connect();
+    return this._findEntry(device) !== null;
+  }
+
+  /**
+   * Unplug a virtual device.
+   *
+   * @param {VirtualMuteMeDevice} device - Virtual device to remove
+   */
+  async removeVirtualDevice(device) {
+    this.virtualDevices = this.virtualDevices.filter(d => d !== device);
+    this._handleDisconnect({ device });
+    await device.close();
+  }
+
+  /**
+   * Update gesture timing for all devices.
+   *
+   * @param {Object} config - Partial configuration (see GESTURE_DEFAULTS)
+   */
+  setGestureConfig(config) {
+    this.gestureConfig = { ...this.gestureConfig, ...config };
+    for (const entry of this.devices.values()) {
+      entry.gestures.configure(this.gestureConfig);
+    }
+  }
+
+  /**
+   * Assign user-facing names to devices.
+   *
+   * @param {Object} names - Map of device id to name
+   */
+  setDeviceNames(names) {
+    this.deviceNames = { ...names };
+  }
+
+  /**
+   * Assign a user-facing name to a single device.
+   *
+   * @param {string} deviceId - Device id
+   * @param {string} name - New name (empty to reset to the product name)
+   */
+  setDeviceName(deviceId, name) {
+    if (name) {
+      this.deviceNames[deviceId] = name;
+    } else {
+      delete this.deviceNames[deviceId];
+    }
+  }
+
+  /**
+   * Get info about all connected devices.
+   *
+   * @returns {Array<Object>} Device info objects
+   */
+  getDevices() {
+    return [...this.devices.values()].map(entry => this._describe(entry));
   }
 
   /**
    * Get current connection status.
    *
-   * @returns {Object} Status object with isConnected and deviceName
+   * @returns {Object} Status object with isConnected, first-device details (including
+   *   model and capabilities) and the device list
    */
   getStatus() {
+    const devices = this.getDevices();
+    const first = devices[0];
     return {
       isConnected: this.isConnected,
-      deviceName: this.device?.productName || null,
-      vendorId: this.device?.vendorId || null,
-      productId: this.device?.productId || null,
+      deviceName: first?.productName || null,
+      vendorId: first?.vendorId || null,
+      productId: first?.productId || null,
+      modelName: first?.modelName || null,
+      generation: first?.generation || null,
+      capabilities: first?.capabilities || null,
+      devices,
     };
   }
 
@@ -234,17 +511,202 @@ class MuteMe {
   // Private Methods
   // =========================================================================
 
+  async _getAvailableDevices() {
+    const hid = getHid();
+    const devices = hid ? await hid.getDevices() : [];
+    return [...devices.filter(isMuteMeDevice), ...this.virtualDevices];
+  }
+
+  _findEntry(hidDevice) {
+    for (const entry of this.devices.values()) {
+      if (entry.hidDevice === hidDevice) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build a stable id for a device.
+   * WebHID exposes no serial number, so the id is VID:PID plus the lowest
+   * free slot among devices of the same model. Ids stay the same across
+   * reconnects as long as the same set of devices is plugged in.
+   */
+  _allocateId(hidDevice) {
+    const base = `${toHex(hidDevice.vendorId)}:${toHex(hidDevice.productId)}`;
+    let index = 0;
+    while (this.devices.has(`${base}#${index}`)) {
+      index++;
+    }
+    return `${base}#${index}`;
+  }
+
+  /**
+   * Drain the LED queue of a device. A single loop runs per device; it
+   * writes whatever state is pending when the previous write completes.
+   */
+  _flushLed(entry) {
+    if (entry.ledWrite) {
+      return entry.ledWrite;
+    }
+
+    const write = (async () => {
+      let success = true;
+      while (entry.pendingLed) {
+        const { value, force } = entry.pendingLed;
+        entry.pendingLed = null;
+
+        if (!force && value === entry.sentLed) {
+          continue;
+        }
+        success = await this._writeLed(entry, value);
+      }
+      return success;
+    })();
+
+    // Cleared once settled, not from inside the loop: when nothing needs
+    // writing the loop finishes before this assignment runs
+    entry.ledWrite = write;
+    write.finally(() => {
+      if (entry.ledWrite === write) {
+        entry.ledWrite = null;
+      }
+    });
+
+    return write;
+  }
+
+  async _writeLed(entry, value) {
+    try {
+      await entry.hidDevice.sendReport(0, new Uint8Array([value]));
+      entry.sentLed = value;
+      console.log(`[MuteMe] LED set to: 0x${value.toString(16)} (${entry.id})`);
+      return true;
+    } catch (error) {
+      console.error('[MuteMe] Failed to set LED:', error);
+      entry.sentLed = null; // Unknown state, next write must go through
+      return false;
+    }
+  }
+
+  async _openDevice(hidDevice) {
+    const id = this._allocateId(hidDevice);
+
+    try {
+      console.log('[MuteMe] Connecting to:', hidDevice.productName, `(${id})`);
+
+      if (!hidDevice.opened) {
+        await hidDevice.open();
+      }
+
+      const model = getModel(hidDevice.vendorId, hidDevice.productId);
+      const entry = {
+        id,
+        hidDevice,
+        model,
+        decoder: new ReportDecoder(model?.reportLayout),
+        led: this._desiredLeds.get(id) || { color: LED_COLOR.OFF, effect: LED_EFFECT.SOLID },
+        pendingLed: null,
+        sentLed: null,
+        ledWrite: null,
+        isTouching: false,
+        touchStartTime: null,
+        gestures: null,
+      };
+      entry.gestures = new GestureRecognizer(this.gestureConfig, (gesture) => {
+        this._emit(MUTEME_EVENT.GESTURE, entry, gesture);
+      });
+
+      hidDevice.addEventListener('inputreport', this._handleInputReport);
+      this.devices.set(id, entry);
+      console.log('[MuteMe] Connected:', id);
+
+      // Restore the LED after a reconnect
+      if (this._desiredLeds.has(id)) {
+        entry.pendingLed = { value: entry.led.color + entry.led.effect, force: true };
+        this._flushLed(entry);
+      }
+
+      this._emit(MUTEME_EVENT.CONNECT, entry);
+
+      return true;
+    } catch (error) {
+      console.error('[MuteMe] Connection failed:', error.message);
+      return false;
+    }
+  }
+
+  _removeEntry(entry) {
+    try {
+      entry.hidDevice.removeEventListener('inputreport', this._handleInputReport);
+    } catch (e) {
+      // Device already gone
+    }
+
+    entry.gestures.reset();
+    this.devices.delete(entry.id);
+
+    this._emit(MUTEME_EVENT.DISCONNECT, entry);
+  }
+
+  _describe(entry) {
+    return {
+      id: entry.id,
+      name: this.deviceNames[entry.id] || entry.hidDevice.productName || entry.model?.name || 'MuteMe',
+      productName: entry.hidDevice.productName || null,
+      vendorId: entry.hidDevice.vendorId,
+      productId: entry.hidDevice.productId,
+      model: entry.model?.model || 'unknown',
+      modelName: entry.model?.name || 'Unknown MuteMe',
+      generation: entry.model?.generation || null,
+      capabilities: { ...entry.model?.capabilities },
+      reportLayout: entry.decoder.layoutName,
+      isVirtual: this.virtualDevices.includes(entry.hidDevice),
+      led: { ...entry.led },
+      isTouching: entry.isTouching,
+    };
+  }
+
+  /**
+   * Deliver an event to its listeners. A throwing listener is logged and
+   * does not keep the others from running.
+   */
+  _emit(type, entry, details = {}, report = null) {
+    const listeners = this._listeners.get(type);
+    if (!listeners || listeners.size === 0) return;
+
+    const payload = {
+      deviceId: entry.id,
+      device: this._describe(entry),
+      timestamp: Date.now(),
+      report,
+      ...details,
+    };
+
+    for (const listener of [...listeners]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`[MuteMe] Error in ${type} listener:`, error);
+      }
+    }
+  }
+
+  _removeHidListeners() {
+    const hid = getHid();
+    if (hid) {
+      hid.removeEventListener('connect', this._handleConnect);
+      hid.removeEventListener('disconnect', this._handleDisconnect);
+    }
+  }
+
   _handleConnect(event) {
     const device = event.device;
-    const isMyDevice = MUTEME_DEVICE_FILTERS.some(filter =>
-      device.vendorId === filter.vendorId &&
-      device.productId === filter.productId,
-    );
 
-    if (isMyDevice && !this.isConnected) {
-      console.log('[MuteMe] Device plugged in, reconnecting...');
+    if (isMuteMeDevice(device) && !this._findEntry(device)) {
+      console.log('[MuteMe] Device plugged in, connecting...');
       setTimeout(() => {
-        if (!this.isConnected) {
+        if (!this._findEntry(device)) {
           this.connect();
         }
       }, 200);
@@ -252,64 +714,49 @@ class MuteMe {
   }
 
   _handleDisconnect(event) {
-    const device = event.device;
-    const isMyDevice = MUTEME_DEVICE_FILTERS.some(filter =>
-      device.vendorId === filter.vendorId &&
-      device.productId === filter.productId,
-    );
-
-    if (isMyDevice && this.isConnected) {
-      console.log('[MuteMe] Device unplugged');
-
-      if (this.device) {
-        try {
-          this.device.removeEventListener('inputreport', this._handleInputReport);
-        } catch (e) {
-          // Device already gone
-        }
-      }
+    const entry = this._findEntry(event.device);
 
-      this.device = null;
-      this.isConnected = false;
-      this._isTouching = false;
-
-      if (this.onDisconnect) {
-        this.onDisconnect();
-      }
+    if (entry) {
+      console.log('[MuteMe] Device unplugged:', entry.id);
+      this._removeEntry(entry);
     }
   }
 
   _handleInputReport(event) {
-    const data = new Uint8Array(event.data.buffer);
-    const touchEvent = data[3]; // not sure why byte 4, but that's what the device sends
+    const entry = this._findEntry(event.device);
+    if (!entry) return;
+
+    const deviceId = entry.id;
+    const data = new Uint8Array(event.data.buffer.slice(0));
+    const touchEvent = entry.decoder.decode(data);
+
+    this._emit(MUTEME_EVENT.REPORT, entry, { touchEvent }, data);
 
     switch (touchEvent) {
       case TOUCH_EVENT.START_TOUCH:
-        this._isTouching = true;
-        this._touchStartTime = Date.now();
-        if (this.onTouchStart) {
-          this.onTouchStart();
-        }
+        entry.isTouching = true;
+        entry.touchStartTime = Date.now();
+        entry.gestures.touchStart();
+        this._emit(MUTEME_EVENT.TOUCH_START, entry, {}, data);
         break;
 
       case TOUCH_EVENT.TOUCHING:
-        if (this.onTouching) {
-          this.onTouching();
-        }
+        this._emit(MUTEME_EVENT.TOUCHING, entry, {}, data);
         break;
 
       case TOUCH_EVENT.END_TOUCH:
-        const wasTouching = this._isTouching;
-        const touchDuration = this._touchStartTime ? Date.now() - this._touchStartTime : 0;
-        this._isTouching = false;
-        this._touchStartTime = null;
-
-        console.log(`[MuteMe] Touch ended (duration: ${touchDuration}ms)`);
-        if (wasTouching && this.onTouchEnd) {
-          this.onTouchEnd({
+        const wasTouching = entry.isTouching;
+        const touchDuration = entry.touchStartTime ? Date.now() - entry.touchStartTime : 0;
+        entry.isTouching = false;
+        entry.touchStartTime = null;
+
+        console.log(`[MuteMe] Touch ended on ${deviceId} (duration: ${touchDuration}ms)`);
+        if (wasTouching) {
+          entry.gestures.touchEnd();
+          this._emit(MUTEME_EVENT.TOUCH_END, entry, {
             duration: touchDuration,
-            isTap: touchDuration < 500,
-          });
+            isTap: touchDuration < this.gestureConfig.tapMaxDuration,
+          }, data);
         }
         break;
 
@@ -325,8 +772,10 @@ class MuteMe {
    * Clean up event listeners.
    */
   destroy() {
-    navigator.hid.removeEventListener('connect', this._handleConnect);
-    navigator.hid.removeEventListener('disconnect', this._handleDisconnect);
+    this.setLedRefreshInterval(0);
+    this._removeHidListeners();
+    this._listeners.clear();
+    this._initSubscriptions = [];
     this.disconnect();
     console.log('[MuteMe] Destroyed');
   }
@@ -0,0 +1,326 @@
+/**
+ * @filename touchModes.js
+ * @description Touch-mode state machine (Toggle / Smart / Push-to-Talk / Push-to-Mute)
+ *
+ * Decides what a button press means for the microphone. The machine is pure:
+ * transition() maps a state and an input to the next state plus a list of
+ * effects (set mute, start/cancel the push-to-talk timer, update the LED)
+ * that the caller carries out. Inputs carry their own timestamps, so a
+ * recorded touch sequence can be replayed and gives the same result.
+ *
+ * States:
+ *   IDLE     - Nobody holds the button
+ *   PRESSED  - Held in Smart mode (or muted in PTT mode); waiting for the
+ *              hold delay to tell a tap from a hold
+ *   TALKING  - Push-to-talk: unmuted for as long as the button is held
+ *   COUGHING - Push-to-mute (or Smart hold while live): muted for as long
+ *              as the button is held
+ *   HOLDING  - Held without a temporary mute change
+ */
+
+import { TOUCH_MODE } from './constants.js';
+
+export const TOUCH_STATE = {
+  IDLE: 'idle',
+  PRESSED: 'pressed',
+  TALKING: 'talking',
+  COUGHING: 'coughing',
+  HOLDING: 'holding',
+};
+
+export const TOUCH_INPUT = {
+  TOUCH_START: 'touch-start', // { deviceId }
+  TOUCH_END: 'touch-end', // { deviceId, isTap }
+  PTT_TIMEOUT: 'ptt-timeout', // Hold delay elapsed (from a START_TIMER effect)
+  TOGGLE: 'toggle', // Toggle requested by a gesture action
+  MUTE_CHANGED: 'mute-changed', // { isMuted } confirmed by the call
+  MUTE_FAILED: 'mute-failed', // A SET_MUTE effect could not be carried out
+  DISCONNECT: 'disconnect', // { deviceId }
+  CANCEL_HOLD: 'cancel-hold', // { deviceId } hold taken over by a gesture action
+  CALL_ENDED: 'call-ended',
+  SET_MODE: 'set-mode', // { mode } from TOUCH_MODE
+};
+
+export const TOUCH_EFFECT = {
+  SET_MUTE: 'set-mute', // { mute }
+  START_TIMER: 'start-timer', // { delay } - dispatch PTT_TIMEOUT when it fires
+  CANCEL_TIMER: 'cancel-timer',
+  UPDATE_LED: 'update-led',
+};
+
+// Hold time that turns a Smart/PTT press into a hold
+export const PTT_DELAY_MS = 200;
+
+// A requested mute state not confirmed within this time is dropped
+export const MUTE_CONFIRM_TIMEOUT_MS = 1500;
+
+/**
+ * Create the initial machine state.
+ *
+ * @param {Object} options - { mode, isMuted }
+ * @returns {Object} Machine state
+ */
+export function createTouchState({ mode = TOUCH_MODE.TOGGLE, isMuted = null } = {}) {
+  return {
+    state: TOUCH_STATE.IDLE,
+    mode,
+    deviceId: null, // Device holding the button
+    isMuted, // Last state confirmed by the call (null = unknown)
+    pendingMute: null, // { mute, time } requested but not confirmed yet
+  };
+}
+
+/**
+ * Mute state the call is expected to have: the pending request if there is
+ * one, otherwise the last confirmed state.
+ *
+ * @param {Object} machine - Machine state
+ * @param {number} time - Current time in milliseconds
+ * @returns {boolean|null} Expected mute state
+ */
+export function expectedMute(machine, time) {
+  const pending = machine.pendingMute;
+  if (pending && time - pending.time < MUTE_CONFIRM_TIMEOUT_MS) {
+    return pending.mute;
+  }
+  return machine.isMuted;
+}
+
+/**
+ * Whether a device's hold is in use by the touch mode (push-to-talk or
+ * push-to-mute). Hold gestures must not act on such a hold: a long
+ * push-to-talk would otherwise run the long-press action mid-sentence.
+ *
+ * @param {Object} machine - Machine state
+ * @param {string} deviceId - Device that is holding
+ * @returns {boolean} True if the hold belongs to the touch mode
+ */
+export function isHoldOwned(machine, deviceId) {
+  return machine.deviceId === deviceId &&
+    (machine.state === TOUCH_STATE.TALKING || machine.state === TOUCH_STATE.COUGHING);
+}
+
+/**
+ * Compute the next state for an input.
+ *
+ * @param {Object} machine - Current machine state (not modified)
+ * @param {Object} input - { type, time, ...data } with type from TOUCH_INPUT
+ * @returns {Object} { machine, effects }
+ */
+export function transition(machine, input) {
+  const time = input.time ?? 0;
+  const next = { ...machine };
+  const effects = [];
+
+  const setMute = (mute) => {
+    next.pendingMute = { mute, time };
+    effects.push({ type: TOUCH_EFFECT.SET_MUTE, mute });
+  };
+  const release = () => {
+    next.state = TOUCH_STATE.IDLE;
+    next.deviceId = null;
+    effects.push({ type: TOUCH_EFFECT.UPDATE_LED });
+  };
+  const toggle = () => setMute(!expectedMute(next, time));
+
+  const isHolder = machine.state !== TOUCH_STATE.IDLE && input.deviceId === machine.deviceId;
+
+  switch (input.type) {
+    case TOUCH_INPUT.TOUCH_START: {
+      // The first device to press owns the hold until it releases
+      if (machine.state !== TOUCH_STATE.IDLE) break;
+
+      const muted = expectedMute(machine, time);
+      next.deviceId = input.deviceId;
+
+      if (machine.mode === TOUCH_MODE.PUSH_TO_MUTE && muted === false) {
+        // Mute right away, no tap to tell apart
+        next.state = TOUCH_STATE.COUGHING;
+        setMute(true);
+        effects.push({ type: TOUCH_EFFECT.UPDATE_LED });
+      } else if ((machine.mode === TOUCH_MODE.SMART && muted !== null) ||
+        (machine.mode === TOUCH_MODE.PUSH_TO_TALK && muted === true)) {
+        next.state = TOUCH_STATE.PRESSED;
+        effects.push({ type: TOUCH_EFFECT.START_TIMER, delay: PTT_DELAY_MS });
+      } else {
+        next.state = TOUCH_STATE.HOLDING;
+      }
+      break;
+    }
+
+    case TOUCH_INPUT.PTT_TIMEOUT: {
+      if (machine.state !== TOUCH_STATE.PRESSED) break;
+
+      const muted = expectedMute(machine, time);
+      if (muted !== false) {
+        next.state = TOUCH_STATE.TALKING;
+        setMute(false);
+        effects.push({ type: TOUCH_EFFECT.UPDATE_LED });
+      } else if (machine.mode === TOUCH_MODE.SMART) {
+        // Cough button: mute while held, back to live on release
+        next.state = TOUCH_STATE.COUGHING;
+        setMute(true);
+        effects.push({ type: TOUCH_EFFECT.UPDATE_LED });
+      } else {
+        // Unmuted from elsewhere during the delay - nothing to push
+        next.state = TOUCH_STATE.HOLDING;
+      }
+      break;
+    }
+
+    case TOUCH_INPUT.TOUCH_END:
+      if (!isHolder) break;
+
+      if (machine.state === TOUCH_STATE.PRESSED) {
+        // Released before the PTT delay: a tap
+        effects.push({ type: TOUCH_EFFECT.CANCEL_TIMER });
+        if (input.isTap && machine.mode === TOUCH_MODE.SMART) {
+          toggle();
+        }
+      } else if (machine.state === TOUCH_STATE.TALKING) {
+        // End of push-to-talk, even if the unmute isn't confirmed yet
+        setMute(true);
+      } else if (machine.state === TOUCH_STATE.COUGHING) {
+        // End of push-to-mute: back to live
+        setMute(false);
+      } else if (input.isTap && (machine.mode === TOUCH_MODE.TOGGLE || machine.mode === TOUCH_MODE.SMART)) {
+        toggle();
+      }
+      release();
+      break;
+
+    case TOUCH_INPUT.TOGGLE:
+      toggle();
+      effects.push({ type: TOUCH_EFFECT.UPDATE_LED });
+      break;
+
+    case TOUCH_INPUT.MUTE_CHANGED:
+      next.isMuted = input.isMuted;
+      if (machine.pendingMute && machine.pendingMute.mute === input.isMuted) {
+        next.pendingMute = null;
+      }
+      break;
+
+    case TOUCH_INPUT.MUTE_FAILED:
+      next.pendingMute = null;
+      break;
+
+    case TOUCH_INPUT.DISCONNECT:
+      if (!isHolder) break;
+
+      if (machine.state === TOUCH_STATE.PRESSED) {
+        effects.push({ type: TOUCH_EFFECT.CANCEL_TIMER });
+      } else if (machine.state === TOUCH_STATE.TALKING) {
+        // Don't leave the microphone open when the button goes away mid-hold
+        setMute(true);
+      }
+      // A push-to-mute hold stays muted for the same reason
+      release();
+      break;
+
+    case TOUCH_INPUT.CANCEL_HOLD:
+      if (!isHolder) break;
+
+      // Undo the temporary mute change; the release is then ignored
+      if (machine.state === TOUCH_STATE.PRESSED) {
+        effects.push({ type: TOUCH_EFFECT.CANCEL_TIMER });
+      } else if (machine.state === TOUCH_STATE.TALKING) {
+        setMute(true);
+      } else if (machine.state === TOUCH_STATE.COUGHING) {
+        setMute(false);
+      }
+      release();
+      break;
+
+    case TOUCH_INPUT.CALL_ENDED:
+      if (machine.state === TOUCH_STATE.PRESSED) {
+        effects.push({ type: TOUCH_EFFECT.CANCEL_TIMER });
+      }
+      next.state = TOUCH_STATE.IDLE;
+      next.deviceId = null;
+      next.isMuted = null;
+      next.pendingMute = null;
+      break;
+
+    case TOUCH_INPUT.SET_MODE:
+      next.mode = input.mode;
+      if (machine.state === TOUCH_STATE.PRESSED) {
+        effects.push({ type: TOUCH_EFFECT.CANCEL_TIMER });
+      } else if (machine.state === TOUCH_STATE.TALKING) {
+        setMute(true);
+      }
+      if (machine.state !== TOUCH_STATE.IDLE) {
+        release();
+      }
+      break;
+
+    default:
+      // Ignore unknown inputs
+  }
+
+  return { machine: next, effects };
+}
+
+/**
+ * Run a recorded input sequence through the machine.
+ * Timers are not simulated: recordings contain PTT_TIMEOUT inputs where
+ * the timer fired.
+ *
+ * @param {Array<Object>} inputs - Inputs in order (see transition())
+ * @param {Object} initial - Initial machine state (see createTouchState())
+ * @returns {Array<Object>} One { input, machine, effects } step per input
+ */
+export function replay(inputs, initial = createTouchState()) {
+  let machine = initial;
+  return inputs.map((input) => {
+    const step = transition(machine, input);
+    machine = step.machine;
+    return { input, ...step };
+  });
+}
+
+/**
+ * Stateful wrapper that keeps the current machine state and records inputs.
+ */
+class TouchModeMachine {
+  /**
+   * @param {Object} options - Initial { mode, isMuted }
+   */
+  constructor(options = {}) {
+    this.machine = createTouchState(options);
+
+    // Recent inputs (oldest first) and the state before the oldest one, so
+    // replay(history, historyStart) reproduces the current state
+    this.history = [];
+    this.historyStart = this.machine;
+    this.maxHistory = 200;
+  }
+
+  get state() {
+    return this.machine.state;
+  }
+
+  get deviceId() {
+    return this.machine.deviceId;
+  }
+
+  /**
+   * Feed an input; the current time is used unless the input has one.
+   *
+   * @param {Object} input - { type, ...data } with type from TOUCH_INPUT
+   * @returns {Array<Object>} Effects to carry out (see TOUCH_EFFECT)
+   */
+  dispatch(input) {
+    const timed = { time: Date.now(), ...input };
+    this.history.push(timed);
+    if (this.history.length > this.maxHistory) {
+      this.historyStart = transition(this.historyStart, this.history.shift()).machine;
+    }
+
+    const { machine, effects } = transition(this.machine, timed);
+    this.machine = machine;
+    return effects;
+  }
+}
+
+export { TouchModeMachine };
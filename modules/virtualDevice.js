@@ -0,0 +1,194 @@
+/**
+ * @filename virtualDevice.js
+ * @description Software stand-in for a MuteMe WebHID device
+ *
+ * Implements the subset of the HIDDevice interface used by the MuteMe driver
+ * (open/close/sendReport and 'inputreport' events), so the extension can be
+ * exercised without hardware:
+ * - Emits START_TOUCH/TOUCHING/END_TOUCH input reports on demand
+ * - Records every LED byte written via sendReport
+ */
+
+import { LED_COLOR, LED_EFFECT, TOUCH_EVENT } from './constants.js';
+
+// Interval between TOUCHING reports while the virtual button is held
+const TOUCHING_INTERVAL_MS = 100;
+
+// Defaults mimic a production MuteMe Original
+const DEFAULT_VENDOR_ID = 0x20a0;
+const DEFAULT_PRODUCT_ID = 0x42da;
+
+let nextVirtualId = 1;
+
+/**
+ * Decode an LED report byte into its color and effect.
+ *
+ * @param {number} value - Byte sent to the device (color + effect)
+ * @returns {Object} Decoded value with color/effect constants and names
+ */
+export function decodeLed(value) {
+  const color = value & 0x0f;
+  const effect = value & 0xf0;
+  return {
+    value,
+    color,
+    effect,
+    colorName: Object.keys(LED_COLOR).find(k => LED_COLOR[k] === color) || 'UNKNOWN',
+    effectName: Object.keys(LED_EFFECT).find(k => LED_EFFECT[k] === effect) || 'UNKNOWN',
+  };
+}
+
+class VirtualMuteMeDevice extends EventTarget {
+  /**
+   * @param {Object} options - Device options
+   * @param {number} options.vendorId - USB vendor id to report
+   * @param {number} options.productId - USB product id to report
+   * @param {string} options.productName - Product name to report
+   * @param {number} options.touchByte - Report byte carrying the touch event
+   */
+  constructor(options = {}) {
+    super();
+    this.virtualId = `virtual-${nextVirtualId++}`;
+    this.vendorId = options.vendorId ?? DEFAULT_VENDOR_ID;
+    this.productId = options.productId ?? DEFAULT_PRODUCT_ID;
+    this.productName = options.productName || 'MuteMe (Virtual)';
+    this.touchByte = options.touchByte ?? 3;
+    this.collections = [];
+    this.opened = false;
+
+    // Every LED report written by the host, oldest first
+    this.ledReports = [];
+    this.led = decodeLed(LED_COLOR.OFF + LED_EFFECT.SOLID);
+
+    // Called with the decoded LED state after each sendReport
+    this.onLedChange = null;
+
+    this._touchingInterval = null;
+  }
+
+  // =========================================================================
+  // HIDDevice interface
+  // =========================================================================
+
+  async open() {
+    this.opened = true;
+  }
+
+  async close() {
+    this._stopTouching();
+    this.opened = false;
+  }
+
+  async forget() {
+    await this.close();
+  }
+
+  async sendReport(reportId, data) {
+    if (!this.opened) {
+      throw new DOMException('The device must be opened first.', 'InvalidStateError');
+    }
+
+    const bytes = new Uint8Array(data.buffer || data);
+    this.led = decodeLed(bytes[0]);
+    this.ledReports.push({ reportId, ...this.led, timestamp: Date.now() });
+
+    if (this.onLedChange) {
+      this.onLedChange(this.led);
+    }
+  }
+
+  async sendFeatureReport() {
+    // MuteMe has no feature reports
+  }
+
+  async receiveFeatureReport() {
+    return new DataView(new ArrayBuffer(0));
+  }
+
+  // =========================================================================
+  // Touch simulation
+  // =========================================================================
+
+  /**
+   * Emit a raw touch event input report.
+   *
+   * @param {number} touchEvent - Value from TOUCH_EVENT
+   */
+  emitReport(touchEvent) {
+    if (!this.opened) return;
+
+    // Touch event at touchByte (4th byte by default, like production devices)
+    const bytes = new Uint8Array(Math.max(4, this.touchByte + 1));
+    bytes[this.touchByte] = touchEvent;
+
+    const event = new Event('inputreport');
+    event.device = this;
+    event.reportId = 0;
+    event.data = new DataView(bytes.buffer);
+    this.dispatchEvent(event);
+  }
+
+  /**
+   * Start touching: emits START_TOUCH, then TOUCHING repeatedly until released.
+   */
+  touchStart() {
+    if (this._touchingInterval) return;
+
+    this.emitReport(TOUCH_EVENT.START_TOUCH);
+    this._touchingInterval = setInterval(() => {
+      this.emitReport(TOUCH_EVENT.TOUCHING);
+    }, TOUCHING_INTERVAL_MS);
+  }
+
+  /**
+   * Stop touching: emits END_TOUCH followed by CLEAR.
+   */
+  touchEnd() {
+    if (!this._touchingInterval) return;
+
+    this._stopTouching();
+    this.emitReport(TOUCH_EVENT.END_TOUCH);
+    this.emitReport(TOUCH_EVENT.CLEAR);
+  }
+
+  /**
+   * Touch and release after the given time.
+   *
+   * @param {number} durationMs - How long to hold
+   * @returns {Promise<void>} Resolves after release
+   */
+  async press(durationMs = 100) {
+    this.touchStart();
+    await new Promise(resolve => setTimeout(resolve, durationMs));
+    this.touchEnd();
+  }
+
+  get isTouching() {
+    return this._touchingInterval !== null;
+  }
+
+  /**
+   * Get a serializable description of the device.
+   *
+   * @returns {Object} Device info including the current LED state
+   */
+  getInfo() {
+    return {
+      virtualId: this.virtualId,
+      productName: this.productName,
+      vendorId: this.vendorId,
+      productId: this.productId,
+      isTouching: this.isTouching,
+      led: this.led,
+    };
+  }
+
+  _stopTouching() {
+    if (this._touchingInterval) {
+      clearInterval(this._touchingInterval);
+      this._touchingInterval = null;
+    }
+  }
+}
+
+export { VirtualMuteMeDevice };
@@ -4,6 +4,7 @@
  */
 
 import muteme from './modules/muteme.js';
+import headset from './modules/headset.js';
 import { LED_COLOR, LED_EFFECT, MESSAGE } from './modules/constants.js';
 
 // ============================================================================
@@ -25,6 +26,9 @@ const effectButtons = document.getElementById('effectButtons');
 const touchDisplay = document.getElementById('touchDisplay');
 const logContainer = document.getElementById('log');
 const clearLogBtn = document.getElementById('clearLogBtn');
+const headsetIndicator = document.getElementById('headsetIndicator');
+const headsetText = document.getElementById('headsetText');
+const headsetBtn = document.getElementById('headsetBtn');
 
 // ============================================================================
 // Logging
@@ -45,22 +49,29 @@ function log(message, type = 'info') {
 // ============================================================================
 // UI Updates
 // ============================================================================
-function updateConnectionUI(connected, device = null) {
+function updateConnectionUI(connected) {
   if (connected) {
+    const { devices } = muteme.getStatus();
     statusIndicator.classList.add('connected');
     statusIndicator.classList.remove('disconnected');
-    statusText.textContent = 'Connected';
-    connectBtn.disabled = true;
+    statusText.textContent = devices.length > 1 ? `Connected (${devices.length} devices)` : 'Connected';
+    connectBtn.disabled = false; // Allows pairing additional devices
     disconnectBtn.disabled = false;
 
-    if (device) {
-      const status = muteme.getStatus();
-      deviceInfo.innerHTML = `
-        Device: <span>${status.deviceName}</span> | 
-        VID: <span>0x${status.vendorId?.toString(16).padStart(4, '0')}</span> | 
-        PID: <span>0x${status.productId?.toString(16).padStart(4, '0')}</span>
-      `;
-    }
+    deviceInfo.innerHTML = devices.map(device => `
+      <div>
+        Device: <span>${device.name}</span> | 
+        ID: <span>${device.id}</span> | 
+        VID: <span>0x${device.vendorId.toString(16).padStart(4, '0')}</span> | 
+        PID: <span>0x${device.productId.toString(16).padStart(4, '0')}</span>
+      </div>
+      <div>
+        Model: <span>${device.modelName}</span> | 
+        Generation: <span>${device.generation || 'unknown'}</span> | 
+        Report layout: <span>${device.reportLayout}</span> | 
+        Sleep mode: <span>${device.capabilities.sleepMode ? 'yes' : 'no'}</span>
+      </div>
+    `).join('');
   } else {
     statusIndicator.classList.remove('connected');
     statusIndicator.classList.add('disconnected');
@@ -131,8 +142,8 @@ function setupEffectButtons() {
 // MuteMe Callbacks
 // ============================================================================
 function onDeviceConnect(device) {
-  updateConnectionUI(true, device);
-  log(`Connected: ${device.productName}`, 'device');
+  updateConnectionUI(true);
+  log(`Connected: ${device.productName} (${device.id})`, 'device');
 
   // Notify background script if running as extension
   if (chrome?.runtime?.sendMessage) {
@@ -140,33 +151,70 @@ function onDeviceConnect(device) {
   }
 }
 
-function onDeviceDisconnect() {
-  updateConnectionUI(false);
+function onDeviceDisconnect(device) {
+  updateConnectionUI(muteme.isConnected);
   updateTouchDisplay(false);
-  log('Device disconnected', 'device');
+  log(`Device disconnected (${device.id})`, 'device');
 }
 
-function onTouchStart() {
+function onTouchStart(event) {
   updateTouchDisplay(true);
-  log('Touch START', 'touch');
+  updateConnectionUI(true); // Report layout may have just been detected
+  log(`Touch START (${event.deviceId})`, 'touch');
 }
 
 function onTouchEnd(event) {
   updateTouchDisplay(false, event.isTap ? '👆 TAP detected!' : 'Touch ended');
-  log(`Touch END (${event.duration}ms, ${event.isTap ? 'TAP' : 'HOLD'})`, 'touch');
+  log(`Touch END (${event.deviceId}, ${event.duration}ms, ${event.isTap ? 'TAP' : 'HOLD'})`, 'touch');
 
   // Reset display after a moment
   setTimeout(() => {
-    if (!muteme._isTouching) {
+    if (!muteme.getDevices().some(device => device.isTouching)) {
       updateTouchDisplay(false);
     }
   }, 1000);
 }
 
+function onGesture(event) {
+  const detail = event.tier ? ` tier ${event.tier}` : event.count ? ` x${event.count}` : '';
+  log(`Gesture: ${event.type.toUpperCase()}${detail} (${event.deviceId})`, 'touch');
+}
+
 function onTouching() {
   // Optional: could update UI to show continuous touch
 }
 
+// ============================================================================
+// Headset Callbacks
+// ============================================================================
+function updateHeadsetUI() {
+  const status = headset.getStatus();
+  headsetIndicator.classList.toggle('connected', status.isConnected);
+  headsetText.textContent = status.isConnected
+    ? `${status.deviceName} (mute button: ${status.hasMuteButton ? 'yes' : 'no'}, mute LED: ${status.hasMuteLed ? 'yes' : 'no'})`
+    : 'No headset';
+  headsetBtn.disabled = status.isConnected;
+}
+
+function onHeadsetConnect(status) {
+  updateHeadsetUI();
+  log(`Headset connected: ${status.deviceName}`, 'device');
+
+  // Let the background pick up the newly paired headset
+  if (chrome?.runtime?.sendMessage) {
+    chrome.runtime.sendMessage({ type: MESSAGE.PERMISSION_GRANTED });
+  }
+}
+
+function onHeadsetDisconnect() {
+  updateHeadsetUI();
+  log('Headset disconnected', 'device');
+}
+
+function onHeadsetMuteToggle() {
+  log('Headset mute button pressed', 'touch');
+}
+
 // ============================================================================
 // Connection Handlers
 // ============================================================================
@@ -181,6 +229,13 @@ async function handleConnect() {
   }
 }
 
+async function handleHeadsetConnect() {
+  log('Requesting headset permission...', 'device');
+  if (!(await headset.requestPermission())) {
+    log('Headset connection failed or cancelled', 'error');
+  }
+}
+
 async function handleDisconnect() {
   await muteme.disconnect();
   updateConnectionUI(false);
@@ -199,6 +254,13 @@ async function init() {
     onTouchStart: onTouchStart,
     onTouchEnd: onTouchEnd,
     onTouching: onTouching,
+    onGesture: onGesture,
+  });
+
+  await headset.init({
+    onConnect: onHeadsetConnect,
+    onDisconnect: onHeadsetDisconnect,
+    onMuteToggle: onHeadsetMuteToggle,
   });
 
   // Setup UI
@@ -207,6 +269,7 @@ async function init() {
 
   connectBtn.addEventListener('click', handleConnect);
   disconnectBtn.addEventListener('click', handleDisconnect);
+  headsetBtn.addEventListener('click', handleHeadsetConnect);
   clearLogBtn.addEventListener('click', () => {
     logContainer.innerHTML = '';
     log('Log cleared', 'info');
@@ -222,6 +285,10 @@ async function init() {
   } else {
     log('No paired device found. Click "Connect MuteMe" to pair.', 'info');
   }
+
+  if (await headset.isDeviceAvailable()) {
+    await headset.connect();
+  }
 }
 
 // Run when page loads
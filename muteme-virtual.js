@@ -0,0 +1,164 @@
+/**
+ * @filename muteme-virtual.js
+ * @description Virtual MuteMe page - drives virtual devices hosted by the background
+ */
+
+import { MESSAGE } from './modules/constants.js';
+
+// VID/PID pairs the virtual devices report
+const MODELS = {
+  original: { vendorId: 0x20a0, productId: 0x42da, productName: 'MuteMe Original (Virtual)' },
+  mini: { vendorId: 0x20a0, productId: 0x42db, productName: 'MuteMe Mini (Virtual)' },
+  miniUsbC: { vendorId: 0x3603, productId: 0x0002, productName: 'MuteMe Mini USB-C (Virtual)', touchByte: 0 },
+};
+
+// ============================================================================
+// DOM Elements
+// ============================================================================
+const modelSelect = document.getElementById('modelSelect');
+const addBtn = document.getElementById('addBtn');
+const deviceList = document.getElementById('deviceList');
+const emptyHint = document.getElementById('emptyHint');
+const logContainer = document.getElementById('log');
+
+// ============================================================================
+// Logging
+// ============================================================================
+function log(message, type = 'led') {
+  const time = new Date().toLocaleTimeString();
+  const entry = document.createElement('div');
+  entry.className = 'log-entry';
+  entry.innerHTML = `<span class="log-time">${time}</span><span class="log-${type}">${message}</span>`;
+  logContainer.insertBefore(entry, logContainer.firstChild);
+
+  // Keep only last 100 entries
+  while (logContainer.children.length > 100) {
+    logContainer.removeChild(logContainer.lastChild);
+  }
+}
+
+function describeLed(led) {
+  return `${led.colorName} + ${led.effectName} (0x${led.value.toString(16).padStart(2, '0')})`;
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+function renderDevices(devices) {
+  deviceList.querySelectorAll('.device-card').forEach(el => el.remove());
+  emptyHint.style.display = devices.length ? 'none' : 'block';
+
+  for (const device of devices) {
+    const card = document.createElement('div');
+    card.className = 'card device-card';
+    card.dataset.virtualId = device.virtualId;
+
+    const button = document.createElement('div');
+    button.className = 'virtual-button';
+    setupTouch(button, device.virtualId);
+
+    const details = document.createElement('div');
+    details.className = 'device-details';
+    details.innerHTML = `
+      <div>Device: <span>${device.productName}</span></div>
+      <div>ID: <span>${device.virtualId}</span></div>
+      <div>LED: <span class="led-text"></span></div>
+    `;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-btn';
+    removeBtn.textContent = 'Unplug';
+    removeBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        type: MESSAGE.VIRTUAL_DEVICE_REMOVE,
+        data: { virtualId: device.virtualId },
+      });
+    });
+
+    card.appendChild(button);
+    card.appendChild(details);
+    card.appendChild(removeBtn);
+    deviceList.appendChild(card);
+
+    renderLed(device.virtualId, device.led);
+  }
+}
+
+function renderLed(virtualId, led) {
+  const card = deviceList.querySelector(`[data-virtual-id="${virtualId}"]`);
+  if (!card) return;
+
+  const button = card.querySelector('.virtual-button');
+  const touching = button.classList.contains('touching');
+  button.className = `virtual-button led-${led.colorName.toLowerCase()} effect-${led.effectName.toLowerCase()}`;
+  button.classList.toggle('touching', touching);
+  card.querySelector('.led-text').textContent = describeLed(led);
+}
+
+// ============================================================================
+// Touch Handling
+// ============================================================================
+function setupTouch(button, virtualId) {
+  const send = (action) => {
+    chrome.runtime.sendMessage({
+      type: MESSAGE.VIRTUAL_TOUCH,
+      data: { virtualId, action },
+    });
+  };
+
+  button.addEventListener('pointerdown', (e) => {
+    button.setPointerCapture(e.pointerId);
+    button.classList.add('touching');
+    send('start');
+  });
+
+  const release = () => {
+    if (!button.classList.contains('touching')) return;
+    button.classList.remove('touching');
+    send('end');
+  };
+  button.addEventListener('pointerup', release);
+  button.addEventListener('pointercancel', release);
+}
+
+// ============================================================================
+// Message Handling
+// ============================================================================
+function handleMessage(message) {
+  switch (message.type) {
+    case MESSAGE.VIRTUAL_DEVICE_LIST:
+      renderDevices(message.data);
+      break;
+
+    case MESSAGE.VIRTUAL_LED:
+      renderLed(message.data.virtualId, message.data.led);
+      log(`${message.data.virtualId}: ${describeLed(message.data.led)}`);
+      break;
+  }
+}
+
+async function handleAddClick() {
+  const model = MODELS[modelSelect.value];
+  const device = await chrome.runtime.sendMessage({
+    type: MESSAGE.VIRTUAL_DEVICE_ADD,
+    data: model,
+  });
+  if (device) {
+    log(`Plugged in ${device.productName} (${device.virtualId})`, 'device');
+  }
+}
+
+// ============================================================================
+// Initialization
+// ============================================================================
+async function init() {
+  const port = chrome.runtime.connect({ name: 'virtual-muteme' });
+  port.onMessage.addListener(handleMessage);
+
+  addBtn.addEventListener('click', handleAddClick);
+
+  const devices = await chrome.runtime.sendMessage({ type: MESSAGE.VIRTUAL_DEVICE_LIST });
+  renderDevices(devices || []);
+}
+
+window.addEventListener('load', init);
@@ -5,7 +5,53 @@
 
 'use strict';
 
-import { MESSAGE, TOUCH_MODE } from './modules/constants.js';
+import {
+  MESSAGE,
+  PLATFORM,
+  TOUCH_MODE,
+  CALL_POLICY,
+  DEVICE_ROLE,
+  ACTION,
+  GESTURE_SLOT,
+  HOLD_GESTURE_SLOTS,
+  GESTURE_DEFAULTS,
+  DEFAULT_GESTURE_ACTIONS,
+  TELEPHONY_DEVICE_FILTERS,
+} from './modules/constants.js';
+
+const PLATFORM_LABELS = {
+  [PLATFORM.GOOGLE_MEET]: 'Google Meet',
+  [PLATFORM.MICROSOFT_TEAMS]: 'Microsoft Teams',
+  [PLATFORM.ZOOM]: 'Zoom',
+  [PLATFORM.SLACK]: 'Slack huddle',
+  [PLATFORM.DISCORD]: 'Discord voice',
+  [PLATFORM.WEBEX]: 'Webex',
+  [PLATFORM.JITSI]: 'Jitsi Meet',
+};
+
+const DEVICE_ROLE_LABELS = {
+  [DEVICE_ROLE.MUTE_ACTIVE]: 'Mute call',
+  [DEVICE_ROLE.MUTE_ALL]: 'Mute all calls',
+  [DEVICE_ROLE.CAMERA]: 'Camera',
+};
+
+const GESTURE_LABELS = {
+  [GESTURE_SLOT.TAP]: 'Tap',
+  [GESTURE_SLOT.DOUBLE_TAP]: 'Double-tap',
+  [GESTURE_SLOT.TRIPLE_TAP]: 'Triple-tap',
+  [GESTURE_SLOT.LONG_PRESS_1]: `Hold ${GESTURE_DEFAULTS.longPressTiers[0] / 1000} s`,
+  [GESTURE_SLOT.LONG_PRESS_2]: `Hold ${GESTURE_DEFAULTS.longPressTiers[1] / 1000} s`,
+  [GESTURE_SLOT.TAP_HOLD]: 'Tap, then hold',
+};
+
+const ACTION_LABELS = {
+  [ACTION.TOGGLE_MUTE]: 'Toggle mute',
+  [ACTION.TOGGLE_CAMERA]: 'Toggle camera',
+  [ACTION.RAISE_HAND]: 'Raise / lower hand',
+  [ACTION.FOCUS_TAB]: 'Focus meeting tab',
+  [ACTION.LEAVE_CALL]: 'Leave call (keep holding)',
+  [ACTION.NONE]: 'Do nothing',
+};
 
 // ============================================================================
 // State
@@ -16,8 +62,18 @@ let state = {
   activeCallTabId: null,
   activePlatform: null,
   isMuted: null,
+  isCameraOn: null,
+  isHandRaised: null,
+  isPreview: false,
+  callPolicy: CALL_POLICY.RECENT,
+  calls: [],
+  pendingUpdateVersion: null,
+  jitsiDomains: [],
   touchMode: TOUCH_MODE.TOGGLE,
   focusTabOnPress: false,
+  dimLedWhenCameraOff: false,
+  gestureActions: { ...DEFAULT_GESTURE_ACTIONS },
+  devices: [],
 };
 
 // ============================================================================
@@ -27,21 +83,52 @@ const connectedView = document.getElementById('connectedView');
 const disconnectedView = document.getElementById('disconnectedView');
 const deviceIndicator = document.getElementById('deviceIndicator');
 const deviceStatus = document.getElementById('deviceStatus');
+const headsetRow = document.getElementById('headsetRow');
+const headsetStatus = document.getElementById('headsetStatus');
 const callIndicator = document.getElementById('callIndicator');
 const callStatus = document.getElementById('callStatus');
 const muteIndicator = document.getElementById('muteIndicator');
 const muteStatus = document.getElementById('muteStatus');
+const cameraIndicator = document.getElementById('cameraIndicator');
+const cameraStatus = document.getElementById('cameraStatus');
+const handIndicator = document.getElementById('handIndicator');
+const handStatus = document.getElementById('handStatus');
 const muteBtn = document.getElementById('muteBtn');
+const callsCard = document.getElementById('callsCard');
+const callPolicySelect = document.getElementById('callPolicySelect');
+const callList = document.getElementById('callList');
 const connectBtn = document.getElementById('connectBtn');
+const headsetBtn = document.getElementById('headsetBtn');
+const updateNotice = document.getElementById('updateNotice');
 const touchModeSelect = document.getElementById('touchModeSelect');
 const focusTabCheckbox = document.getElementById('focusTabCheckbox');
+const cameraLedCheckbox = document.getElementById('cameraLedCheckbox');
+const deviceList = document.getElementById('deviceList');
+const gestureList = document.getElementById('gestureList');
+const jitsiList = document.getElementById('jitsiList');
+const jitsiForm = document.getElementById('jitsiForm');
+const jitsiInput = document.getElementById('jitsiInput');
+
+// Signature of the last rendered device list (avoids clobbering inputs on refresh)
+let renderedDevices = null;
+let renderedJitsiDomains = null;
 
 // ============================================================================
 // UI Update
 // ============================================================================
 function updateUI() {
-  // Show/hide views
-  if (state.mutemeConnected) {
+  // Update held back until the calls end
+  updateNotice.style.display = state.pendingUpdateVersion ? 'block' : 'none';
+  updateNotice.textContent = `Update to v${state.pendingUpdateVersion} is waiting – it installs when your calls end`;
+
+  // Pairing a headset is offered until one is connected
+  headsetBtn.style.display = navigator.hid && !state.headsetConnected ? 'block' : 'none';
+
+  // Jitsi servers can be managed without a device
+  updateJitsiList();
+
+  // Show/hide views (a headset alone is enough to control calls)
+  if (state.mutemeConnected || state.headsetConnected) {
     connectedView.style.display = 'block';
     disconnectedView.style.display = 'none';
   } else {
@@ -51,15 +138,30 @@ function updateUI() {
   }
 
   // Device status
-  deviceIndicator.className = 'status-indicator connected';
-  deviceStatus.textContent = 'Connected';
+  if (!state.mutemeConnected) {
+    deviceIndicator.className = 'status-indicator disconnected';
+    deviceStatus.textContent = 'Not connected';
+  } else {
+    deviceIndicator.className = 'status-indicator connected';
+    deviceStatus.textContent = state.devices.length > 1
+      ? `${state.devices.length} connected`
+      : 'Connected';
+  }
+
+  // Headset status
+  headsetRow.style.display = state.headsetConnected ? 'flex' : 'none';
+  headsetStatus.textContent = state.headsetName || 'Connected';
 
   // Call status
   if (state.activeCallTabId) {
     callIndicator.className = 'status-indicator connected';
-    const platform = state.activePlatform === 'meet' ? 'Google Meet' :
-      state.activePlatform === 'teams' ? 'Microsoft Teams' : 'Active';
-    callStatus.textContent = platform;
+    let platform = PLATFORM_LABELS[state.activePlatform] || 'Active';
+    if (state.isPreview) {
+      platform += ' (preview)';
+    }
+    callStatus.textContent = state.calls.length > 1
+      ? `${platform} (${state.calls.length} calls)`
+      : platform;
     callStatus.classList.add('clickable');
   } else {
     callIndicator.className = 'status-indicator disconnected';
@@ -90,11 +192,172 @@ function updateUI() {
     muteBtn.disabled = true;
   }
 
+  // Camera status
+  if (state.activeCallTabId && state.isCameraOn !== null) {
+    cameraIndicator.className = `status-indicator ${state.isCameraOn ? 'unmuted' : 'muted'}`;
+    cameraStatus.textContent = state.isCameraOn ? 'On' : 'Off';
+    cameraStatus.classList.add('clickable');
+  } else {
+    cameraIndicator.className = 'status-indicator';
+    cameraStatus.textContent = '-';
+    cameraStatus.classList.remove('clickable');
+  }
+
+  // Raised hand status
+  if (state.activeCallTabId && state.isHandRaised !== null) {
+    handIndicator.className = `status-indicator ${state.isHandRaised ? 'raised' : ''}`;
+    handStatus.textContent = state.isHandRaised ? 'Raised' : 'Down';
+    handStatus.classList.add('clickable');
+  } else {
+    handIndicator.className = 'status-indicator';
+    handStatus.textContent = '-';
+    handStatus.classList.remove('clickable');
+  }
+
   // Touch mode
   touchModeSelect.value = state.touchMode;
 
   // Focus tab checkbox
   focusTabCheckbox.checked = state.focusTabOnPress;
+  cameraLedCheckbox.checked = state.dimLedWhenCameraOff;
+
+  updateCallList();
+  updateGestureList();
+  updateDeviceList();
+}
+
+function updateCallList() {
+  callsCard.style.display = state.calls.length > 0 ? 'block' : 'none';
+  callPolicySelect.value = state.callPolicy;
+
+  callList.innerHTML = '';
+  for (const call of state.calls) {
+    const row = document.createElement('label');
+    row.className = 'call-item';
+
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'controlledCall';
+    radio.checked = call.isControlled;
+    radio.addEventListener('change', () => handleControlledCallChange(call.tabId));
+
+    const title = document.createElement('span');
+    title.className = 'call-title';
+    title.textContent = call.title || PLATFORM_LABELS[call.platform] || 'Call';
+    title.title = PLATFORM_LABELS[call.platform] || '';
+
+    const mute = document.createElement('span');
+    mute.className = 'call-mute';
+    mute.textContent = call.isMuted === true ? 'Muted' : call.isMuted === false ? 'Live' : '-';
+    if (call.isPreview && call.isMuted !== null) {
+      // Pre-join screen: the mic state applies once joined
+      mute.textContent = `Will join ${call.isMuted ? 'muted' : 'live'}`;
+    }
+
+    row.appendChild(radio);
+    row.appendChild(title);
+    row.appendChild(mute);
+    callList.appendChild(row);
+  }
+}
+
+function updateGestureList() {
+  // Rows are built once; later updates only sync the selected values
+  if (!gestureList.hasChildNodes()) {
+    for (const [slot, label] of Object.entries(GESTURE_LABELS)) {
+      const row = document.createElement('div');
+      row.className = 'gesture-item';
+
+      const name = document.createElement('span');
+      name.className = 'gesture-label';
+      name.textContent = label;
+
+      const actionSelect = document.createElement('select');
+      actionSelect.className = 'gesture-action-select';
+      actionSelect.dataset.gesture = slot;
+      for (const [action, actionLabel] of Object.entries(ACTION_LABELS)) {
+        // Leaving is confirmed by holding, so it is only offered for holds
+        if (action === ACTION.LEAVE_CALL && !HOLD_GESTURE_SLOTS.includes(slot)) continue;
+
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = actionLabel;
+        actionSelect.appendChild(option);
+      }
+      actionSelect.addEventListener('change', () => handleGestureActionChange(slot, actionSelect.value));
+
+      row.appendChild(name);
+      row.appendChild(actionSelect);
+      gestureList.appendChild(row);
+    }
+  }
+
+  for (const select of gestureList.querySelectorAll('select')) {
+    select.value = state.gestureActions[select.dataset.gesture] || ACTION.NONE;
+  }
+}
+
+function updateDeviceList() {
+  const signature = JSON.stringify(state.devices.map(d => [d.id, d.name, d.role]));
+  if (signature === renderedDevices) return;
+
+  // Don't re-render while the user is editing a name
+  if (deviceList.contains(document.activeElement)) return;
+  renderedDevices = signature;
+
+  deviceList.innerHTML = '';
+  for (const device of state.devices) {
+    const row = document.createElement('div');
+    row.className = 'device-item';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'device-name-input';
+    nameInput.value = device.name;
+    nameInput.placeholder = device.productName || device.modelName;
+    nameInput.title = `${device.modelName} - ${device.generation || 'unknown generation'} (${device.id})`;
+    nameInput.addEventListener('change', () => handleDeviceNameChange(device.id, nameInput.value.trim()));
+
+    const roleSelect = document.createElement('select');
+    roleSelect.className = 'device-role-select';
+    for (const [role, label] of Object.entries(DEVICE_ROLE_LABELS)) {
+      const option = document.createElement('option');
+      option.value = role;
+      option.textContent = label;
+      roleSelect.appendChild(option);
+    }
+    roleSelect.value = device.role;
+    roleSelect.addEventListener('change', () => handleDeviceRoleChange(device.id, roleSelect.value));
+
+    row.appendChild(nameInput);
+    row.appendChild(roleSelect);
+    deviceList.appendChild(row);
+  }
+}
+
+function updateJitsiList() {
+  const signature = state.jitsiDomains.join(',');
+  if (signature === renderedJitsiDomains) return;
+  renderedJitsiDomains = signature;
+
+  jitsiList.innerHTML = '';
+  for (const domain of state.jitsiDomains) {
+    const row = document.createElement('div');
+    row.className = 'server-item';
+
+    const name = document.createElement('span');
+    name.className = 'call-title';
+    name.textContent = domain;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'server-button';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => handleJitsiRemove(domain));
+
+    row.appendChild(name);
+    row.appendChild(removeBtn);
+    jitsiList.appendChild(row);
+  }
 }
 
 // ============================================================================
@@ -107,14 +370,18 @@ function handleMessage(message) {
     case MESSAGE.STATE_UPDATE:
     case MESSAGE.DEVICE_CONNECTED:
     case MESSAGE.DEVICE_DISCONNECTED:
-    case MESSAGE.MUTE_STATE_CHANGED:
-    case MESSAGE.CALL_STARTED:
-    case MESSAGE.CALL_ENDED:
       if (message.data) {
         state = { ...state, ...message.data };
       }
       updateUI();
       break;
+
+    // Call events may come from any call tab, not just the controlled one
+    case MESSAGE.MUTE_STATE_CHANGED:
+    case MESSAGE.CALL_STARTED:
+    case MESSAGE.CALL_ENDED:
+      refreshState();
+      break;
   }
 }
 
@@ -132,6 +399,21 @@ function handleConnectClick() {
   chrome.tabs.create({ url: 'muteme-test.html' });
 }
 
+/**
+ * Pair a telephony headset; the background connects it once access is
+ * granted, as it does after pairing on the device test page
+ */
+async function handleHeadsetClick() {
+  try {
+    const devices = await navigator.hid.requestDevice({ filters: TELEPHONY_DEVICE_FILTERS });
+    if (devices.length > 0) {
+      chrome.runtime.sendMessage({ type: MESSAGE.PERMISSION_GRANTED });
+    }
+  } catch (err) {
+    console.warn('[Popup] Headset pairing failed:', err);
+  }
+}
+
 function handleTouchModeChange(e) {
   const mode = e.target.value;
   state.touchMode = mode;
@@ -153,6 +435,108 @@ function handleFocusTabChange(e) {
   });
 }
 
+function handleCameraLedChange(e) {
+  const enabled = e.target.checked;
+  state.dimLedWhenCameraOff = enabled;
+
+  chrome.runtime.sendMessage({
+    type: MESSAGE.SET_CAMERA_LED,
+    data: { enabled },
+  });
+}
+
+function handleCameraStatusClick() {
+  if (state.activeCallTabId) {
+    chrome.runtime.sendMessage({
+      type: MESSAGE.TOGGLE_CAMERA,
+    });
+  }
+}
+
+function handleHandStatusClick() {
+  if (state.activeCallTabId) {
+    chrome.runtime.sendMessage({
+      type: MESSAGE.TOGGLE_HAND,
+    });
+  }
+}
+
+function handleCallPolicyChange(e) {
+  state.callPolicy = e.target.value;
+
+  chrome.runtime.sendMessage({
+    type: MESSAGE.SET_CALL_POLICY,
+    data: { policy: state.callPolicy },
+  });
+}
+
+function handleControlledCallChange(tabId) {
+  chrome.runtime.sendMessage({
+    type: MESSAGE.SET_CONTROLLED_CALL,
+    data: { tabId },
+  });
+}
+
+function handleGestureActionChange(gesture, action) {
+  state.gestureActions = { ...state.gestureActions, [gesture]: action };
+
+  chrome.runtime.sendMessage({
+    type: MESSAGE.SET_GESTURE_ACTION,
+    data: { gesture, action },
+  });
+}
+
+function handleDeviceNameChange(deviceId, name) {
+  chrome.runtime.sendMessage({
+    type: MESSAGE.SET_DEVICE_NAME,
+    data: { deviceId, name },
+  });
+}
+
+function handleDeviceRoleChange(deviceId, role) {
+  chrome.runtime.sendMessage({
+    type: MESSAGE.SET_DEVICE_ROLE,
+    data: { deviceId, role },
+  });
+}
+
+/**
+ * Ask for access to a self-hosted Jitsi server, then add it; the background
+ * registers the Jitsi controller for it. Requested here because Chrome only
+ * shows the permission prompt in response to a user action.
+ */
+async function handleJitsiAdd(e) {
+  e.preventDefault();
+
+  let host;
+  try {
+    const value = jitsiInput.value.trim();
+    host = new URL(value.includes('://') ? value : `https://${value}`).host;
+  } catch (err) {
+    jitsiInput.select();
+    return;
+  }
+
+  try {
+    if (await chrome.permissions.request({ origins: [`https://${host}/*`] })) {
+      jitsiInput.value = '';
+      chrome.runtime.sendMessage({
+        type: MESSAGE.ADD_JITSI_SERVER,
+        data: { host },
+      });
+    }
+  } catch (err) {
+    console.warn('[Popup] Failed to request access to', host, err);
+  }
+}
+
+function handleJitsiRemove(domain) {
+  chrome.runtime.sendMessage({
+    type: MESSAGE.REMOVE_JITSI_SERVER,
+    data: { host: domain },
+  });
+}
+
 function handleCallStatusClick() {
   if (state.activeCallTabId) {
     chrome.runtime.sendMessage({
@@ -195,9 +579,15 @@ async function init() {
   // Set up event handlers
   muteBtn.addEventListener('click', handleMuteClick);
   connectBtn.addEventListener('click', handleConnectClick);
+  headsetBtn.addEventListener('click', handleHeadsetClick);
   touchModeSelect.addEventListener('change', handleTouchModeChange);
+  callPolicySelect.addEventListener('change', handleCallPolicyChange);
   focusTabCheckbox.addEventListener('change', handleFocusTabChange);
+  cameraLedCheckbox.addEventListener('change', handleCameraLedChange);
   callStatus.addEventListener('click', handleCallStatusClick);
+  cameraStatus.addEventListener('click', handleCameraStatusClick);
+  handStatus.addEventListener('click', handleHandStatusClick);
+  jitsiForm.addEventListener('submit', handleJitsiAdd);
 }
 
 // Clean up when popup closes
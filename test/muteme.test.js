@@ -0,0 +1,64 @@
+/**
+ * @filename muteme.test.js
+ * @description MuteMe driver tests, run against virtual devices
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MuteMe } from '../modules/muteme.js';
+import { VirtualMuteMeDevice } from '../modules/virtualDevice.js';
+import { LED_COLOR, LED_EFFECT } from '../modules/constants.js';
+
+// The driver logs every write; keep the test output readable
+console.log = () => {};
+
+async function connectVirtual() {
+  const muteme = new MuteMe();
+  const device = new VirtualMuteMeDevice();
+  await muteme.addVirtualDevice(device);
+  return { muteme, device };
+}
+
+test('LED writes continue after a repeated state', async () => {
+  const { muteme, device } = await connectVirtual();
+  const writes = device.ledReports.length;
+
+  await muteme.setLed(LED_COLOR.RED, LED_EFFECT.SOLID);
+  await muteme.setLed(LED_COLOR.RED, LED_EFFECT.SOLID); // Nothing to write
+  await muteme.setLed(LED_COLOR.GREEN, LED_EFFECT.SOLID);
+
+  const sent = device.ledReports.slice(writes).map(report => report.color);
+  assert.deepEqual(sent, [LED_COLOR.RED, LED_COLOR.GREEN]);
+
+  await muteme.removeVirtualDevice(device);
+});
+
+test('LED refresh re-sends an unchanged state', async () => {
+  const { muteme, device } = await connectVirtual();
+
+  await muteme.setLed(LED_COLOR.BLUE, LED_EFFECT.DIM);
+  await muteme.setLed(LED_COLOR.BLUE, LED_EFFECT.DIM);
+  const writes = device.ledReports.length;
+
+  await muteme.refreshLeds();
+  assert.equal(device.ledReports.length, writes + 1);
+  assert.equal(device.led.color, LED_COLOR.BLUE);
+
+  await muteme.removeVirtualDevice(device);
+});
+
+test('superseded LED states are dropped while a write is in flight', async () => {
+  const { muteme, device } = await connectVirtual();
+  const writes = device.ledReports.length;
+
+  // Issued without awaiting, like background.js does
+  muteme.setLed(LED_COLOR.RED, LED_EFFECT.SOLID);
+  muteme.setLed(LED_COLOR.YELLOW, LED_EFFECT.SOLID);
+  await muteme.setLed(LED_COLOR.GREEN, LED_EFFECT.SOLID);
+
+  const sent = device.ledReports.slice(writes).map(report => report.color);
+  assert.deepEqual(sent, [LED_COLOR.RED, LED_COLOR.GREEN]);
+
+  await muteme.removeVirtualDevice(device);
+});
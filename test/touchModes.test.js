@@ -0,0 +1,187 @@
+/**
+ * @filename touchModes.test.js
+ * @description Touch-mode state machine tests, replaying recorded inputs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  TOUCH_STATE,
+  TOUCH_INPUT,
+  TOUCH_EFFECT,
+  PTT_DELAY_MS,
+  createTouchState,
+  isHoldOwned,
+  replay,
+} from '../modules/touchModes.js';
+import { TOUCH_MODE } from '../modules/constants.js';
+
+const DEVICE = 'device-1';
+const OTHER_DEVICE = 'device-2';
+
+// SET_MUTE requests made over a replay, in order
+function muteRequests(steps) {
+  return steps.flatMap(step => step.effects)
+    .filter(effect => effect.type === TOUCH_EFFECT.SET_MUTE)
+    .map(effect => effect.mute);
+}
+
+function finalState(steps) {
+  return steps[steps.length - 1].machine;
+}
+
+test('tap during the PTT delay toggles instead of talking', () => {
+  const steps = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+    { type: TOUCH_INPUT.TOUCH_END, deviceId: DEVICE, isTap: true, time: 90 },
+    // Timer cancelled too late: the timeout must not start a hold
+    { type: TOUCH_INPUT.PTT_TIMEOUT, time: PTT_DELAY_MS },
+  ], createTouchState({ mode: TOUCH_MODE.SMART, isMuted: true }));
+
+  assert.deepEqual(steps[0].effects, [{ type: TOUCH_EFFECT.START_TIMER, delay: PTT_DELAY_MS }]);
+  assert.ok(steps[1].effects.some(effect => effect.type === TOUCH_EFFECT.CANCEL_TIMER));
+  assert.deepEqual(muteRequests(steps), [false]);
+  assert.deepEqual(steps[2].effects, []);
+  assert.equal(finalState(steps).state, TOUCH_STATE.IDLE);
+});
+
+test('tap during the PTT delay does nothing in push-to-talk mode', () => {
+  const steps = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+    { type: TOUCH_INPUT.TOUCH_END, deviceId: DEVICE, isTap: true, time: 90 },
+  ], createTouchState({ mode: TOUCH_MODE.PUSH_TO_TALK, isMuted: true }));
+
+  assert.deepEqual(muteRequests(steps), []);
+  assert.equal(finalState(steps).state, TOUCH_STATE.IDLE);
+});
+
+test('release before the unmute is confirmed still mutes', () => {
+  const steps = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+    { type: TOUCH_INPUT.PTT_TIMEOUT, time: PTT_DELAY_MS },
+    { type: TOUCH_INPUT.TOUCH_END, deviceId: DEVICE, isTap: false, time: 260 },
+    // Late confirmation of the unmute, then of the mute
+    { type: TOUCH_INPUT.MUTE_CHANGED, isMuted: false, time: 300 },
+    { type: TOUCH_INPUT.MUTE_CHANGED, isMuted: true, time: 350 },
+  ], createTouchState({ mode: TOUCH_MODE.PUSH_TO_TALK, isMuted: true }));
+
+  assert.equal(steps[1].machine.state, TOUCH_STATE.TALKING);
+  assert.deepEqual(muteRequests(steps), [false, true]);
+
+  const machine = finalState(steps);
+  assert.equal(machine.state, TOUCH_STATE.IDLE);
+  assert.equal(machine.isMuted, true);
+  assert.equal(machine.pendingMute, null);
+});
+
+test('taps before the mute state is confirmed toggle from the requested state', () => {
+  const steps = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+    { type: TOUCH_INPUT.TOUCH_END, deviceId: DEVICE, isTap: true, time: 60 },
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 120 },
+    { type: TOUCH_INPUT.TOUCH_END, deviceId: DEVICE, isTap: true, time: 180 },
+  ], createTouchState({ mode: TOUCH_MODE.TOGGLE, isMuted: true }));
+
+  // The second tap undoes the first even though the call never confirmed it
+  assert.deepEqual(muteRequests(steps), [false, true]);
+});
+
+test('disconnect mid-hold closes the microphone', () => {
+  const steps = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+    { type: TOUCH_INPUT.PTT_TIMEOUT, time: PTT_DELAY_MS },
+    { type: TOUCH_INPUT.MUTE_CHANGED, isMuted: false, time: 250 },
+    // Another device going away doesn't end the hold
+    { type: TOUCH_INPUT.DISCONNECT, deviceId: OTHER_DEVICE, time: 400 },
+    { type: TOUCH_INPUT.DISCONNECT, deviceId: DEVICE, time: 500 },
+    // Nobody holds the button any more
+    { type: TOUCH_INPUT.TOUCH_END, deviceId: DEVICE, isTap: false, time: 600 },
+  ], createTouchState({ mode: TOUCH_MODE.SMART, isMuted: true }));
+
+  assert.equal(steps[3].machine.state, TOUCH_STATE.TALKING);
+  assert.deepEqual(steps[3].effects, []);
+  assert.deepEqual(muteRequests(steps), [false, true]);
+  assert.deepEqual(steps[5].effects, []);
+
+  const machine = finalState(steps);
+  assert.equal(machine.state, TOUCH_STATE.IDLE);
+  assert.equal(machine.deviceId, null);
+});
+
+test('disconnect mid push-to-mute hold stays muted', () => {
+  const steps = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+    { type: TOUCH_INPUT.MUTE_CHANGED, isMuted: true, time: 50 },
+    { type: TOUCH_INPUT.DISCONNECT, deviceId: DEVICE, time: 500 },
+  ], createTouchState({ mode: TOUCH_MODE.PUSH_TO_MUTE, isMuted: false }));
+
+  assert.equal(steps[0].machine.state, TOUCH_STATE.COUGHING);
+  assert.deepEqual(muteRequests(steps), [true]);
+  assert.equal(finalState(steps).state, TOUCH_STATE.IDLE);
+});
+
+test('disconnect during the PTT delay cancels the timer', () => {
+  const steps = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+    { type: TOUCH_INPUT.DISCONNECT, deviceId: DEVICE, time: 100 },
+    { type: TOUCH_INPUT.PTT_TIMEOUT, time: PTT_DELAY_MS },
+  ], createTouchState({ mode: TOUCH_MODE.PUSH_TO_TALK, isMuted: true }));
+
+  assert.ok(steps[1].effects.some(effect => effect.type === TOUCH_EFFECT.CANCEL_TIMER));
+  assert.deepEqual(muteRequests(steps), []);
+  assert.equal(finalState(steps).state, TOUCH_STATE.IDLE);
+});
+
+test('cancelled hold closes the microphone and ignores the release', () => {
+  const steps = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+    { type: TOUCH_INPUT.PTT_TIMEOUT, time: PTT_DELAY_MS },
+    // A leave-call hold gesture takes the press over
+    { type: TOUCH_INPUT.CANCEL_HOLD, deviceId: DEVICE, time: 3000 },
+    { type: TOUCH_INPUT.TOUCH_END, deviceId: DEVICE, isTap: false, time: 3500 },
+  ], createTouchState({ mode: TOUCH_MODE.PUSH_TO_TALK, isMuted: true }));
+
+  assert.equal(steps[2].machine.state, TOUCH_STATE.IDLE);
+  assert.deepEqual(muteRequests(steps), [false, true]);
+  assert.deepEqual(steps[3].effects, []);
+});
+
+test('a long PTT hold never leaves the call', () => {
+  // Long-press tiers fire at 1 s and 3 s; none may act on this hold
+  const steps = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+    { type: TOUCH_INPUT.PTT_TIMEOUT, time: PTT_DELAY_MS },
+    { type: TOUCH_INPUT.MUTE_CHANGED, isMuted: false, time: 300 },
+    { type: TOUCH_INPUT.MUTE_CHANGED, isMuted: false, time: 1000 },
+    { type: TOUCH_INPUT.MUTE_CHANGED, isMuted: false, time: 3000 },
+    { type: TOUCH_INPUT.MUTE_CHANGED, isMuted: false, time: 5000 },
+  ], createTouchState({ mode: TOUCH_MODE.PUSH_TO_TALK, isMuted: true }));
+
+  for (const step of steps.slice(1)) {
+    assert.ok(isHoldOwned(step.machine, DEVICE), `hold not owned at ${step.input.time} ms`);
+  }
+  assert.deepEqual(muteRequests(steps), [false]);
+});
+
+test('hold gestures act on holds that leave the microphone alone', () => {
+  const toggle = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+  ], createTouchState({ mode: TOUCH_MODE.TOGGLE, isMuted: true }));
+  assert.equal(isHoldOwned(finalState(toggle), DEVICE), false);
+
+  // Push-to-talk while already live: nothing to push
+  const live = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+  ], createTouchState({ mode: TOUCH_MODE.PUSH_TO_TALK, isMuted: false }));
+  assert.equal(isHoldOwned(finalState(live), DEVICE), false);
+
+  // Smart cough hold belongs to the touch mode, but only for its holder
+  const cough = replay([
+    { type: TOUCH_INPUT.TOUCH_START, deviceId: DEVICE, time: 0 },
+    { type: TOUCH_INPUT.PTT_TIMEOUT, time: PTT_DELAY_MS },
+  ], createTouchState({ mode: TOUCH_MODE.SMART, isMuted: false }));
+  assert.equal(finalState(cough).state, TOUCH_STATE.COUGHING);
+  assert.equal(isHoldOwned(finalState(cough), DEVICE), true);
+  assert.equal(isHoldOwned(finalState(cough), OTHER_DEVICE), false);
+});